@@ -0,0 +1,69 @@
+/*
+Per-frame audio features for the audio-reactive overlay.
+Takes mono PCM samples (-1..1) and returns one entry per video frame:
+  { loudness, low, high, onset, beat }
+loudness/low/high are 0..1 relative to the loud parts of the clip, onset marks
+a sudden rise in loudness and beat an onset with strong bass.
+The samples are the clip's soundtrack as renderOverlay.js extracts it.
+*/
+
+const LOW_CUTOFF_HZ = 200;    // below this counts as bass
+const HIGH_CUTOFF_HZ = 2000;  // above this counts as treble
+const ONSET_WINDOW_SECONDS = 0.3; // loudness is compared with the average over this long
+const ONSET_MIN_GAP_SECONDS = 0.15;
+const ONSET_RISE = 0.15;      // how far above the recent average an onset must be
+const BEAT_LOW_LEVEL = 0.5;   // bass level an onset needs to count as a beat
+
+// Coefficient of a one-pole low-pass filter
+function lowPassCoefficient(cutoff, sampleRate) {
+  return 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+}
+
+// Scale values so the 95th percentile becomes 1; silence stays at 0
+function normalize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const reference = sorted[Math.floor(sorted.length * 0.95)] || 0;
+  return values.map(v => (reference > 0 ? Math.min(1, v / reference) : 0));
+}
+
+export function computeAudioFeatures(samples, { sampleRate, fps, frames }) {
+  const samplesPerFrame = sampleRate / fps;
+  const lowA = lowPassCoefficient(LOW_CUTOFF_HZ, sampleRate);
+  const highA = lowPassCoefficient(HIGH_CUTOFF_HZ, sampleRate);
+  let lowState = 0, highState = 0;
+
+  const rms = [], lowRms = [], highRms = [];
+  for (let f = 0; f < frames; f++) {
+    const start = Math.floor(f * samplesPerFrame);
+    const end = Math.min(samples.length, Math.floor((f + 1) * samplesPerFrame));
+    let sum = 0, lowSum = 0, highSum = 0;
+    for (let i = start; i < end; i++) {
+      const x = samples[i];
+      lowState += lowA * (x - lowState);
+      highState += highA * (x - highState);
+      const high = x - highState; // what the 2 kHz low-pass leaves out
+      sum += x * x;
+      lowSum += lowState * lowState;
+      highSum += high * high;
+    }
+    const n = Math.max(1, end - start);
+    rms.push(Math.sqrt(sum / n));
+    lowRms.push(Math.sqrt(lowSum / n));
+    highRms.push(Math.sqrt(highSum / n));
+  }
+
+  const loudness = normalize(rms);
+  const low = normalize(lowRms);
+  const high = normalize(highRms);
+
+  const window = Math.max(1, Math.round(ONSET_WINDOW_SECONDS * fps));
+  const minGap = Math.max(1, Math.round(ONSET_MIN_GAP_SECONDS * fps));
+  let lastOnset = -Infinity;
+  return loudness.map((level, f) => {
+    const recent = loudness.slice(Math.max(0, f - window), f);
+    const average = recent.length ? recent.reduce((a, b) => a + b, 0) / recent.length : 0;
+    const onset = level - average > ONSET_RISE && f - lastOnset >= minGap;
+    if (onset) lastOnset = f;
+    return { loudness: level, low: low[f], high: high[f], onset, beat: onset && low[f] > BEAT_LOW_LEVEL };
+  });
+}
@@ -1,192 +1,774 @@
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup, TelegramError } from 'telegraf';
 import { message } from 'telegraf/filters';
 import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
+import { RenderError, STYLE_OPTIONS, OUTPUT_FORMATS, QUALITY_PROFILES, randomSeed } from './renderOverlay.js';
+import { createJsonStore } from './store.js';
+import { QueueFullError } from './jobQueue.js';
+import { checkUpload, InputLimitError } from './inputLimits.js';
+import {
+  renderQueue, inputLimits, processFile, cleanCaption, SOUND_EFFECTS, RENDER_ERROR_MESSAGES, MAX_RENDER_ATTEMPTS, QUALITY
+} from './videoProcessing.js';
 
 // Create bot with your token from BotFather
 const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
 
+// Style choices per user, keyed by Telegram user ID
+const userStyles = createJsonStore('user-styles.json');
+// Group settings managed by chat admins, keyed by chat ID
+const chatSettings = createJsonStore('chat-settings.json');
+
+// Videos that can still be cancelled, keyed by job ID: { userId, chatId, controller }
+const activeJobs = new Map();
+let nextJobId = 1;
+
+// Style categories offered in /style, with the choices renderOverlay accepts.
+// `unset` names what a video gets when nothing is chosen: a random choice, or
+// the fallback, which is then not offered separately.
+const STYLE_CATEGORIES = [
+  { key: 'colorScheme', label: 'Color scheme' },
+  { key: 'rings', label: 'Rings' },
+  { key: 'ball', label: 'Ball' },
+  { key: 'destruction', label: 'Destruction' },
+  { key: 'arena', label: 'Arena' }
+].map(c => {
+  const { choices, fallback } = STYLE_OPTIONS[c.key];
+  return { ...c, options: choices.map(o => o.name).filter(name => name !== fallback), unset: fallback ?? 'random' };
+});
+
 // Welcome message
-bot.start((ctx) => ctx.reply('Send me a bubble (circular) video and I\'ll add a brainrot overlay to it!'));
+bot.start((ctx) => ctx.reply('Send me a bubble (circular) video and I\'ll add a brainrot overlay to it! ' +
+  'Videos, GIFs, photos and stickers work too.\n' +
+  'Add "bubble" to the caption, or reply /bubble to a video, to get a round bubble back.\n' +
+  'Use "gif" or /gif the same way to get a GIF file, and "overlay" or /overlay for just the overlay, ' +
+  'as a transparent WebM file for video editors.\n' +
+  'Any other caption text is written onto the video; in groups, reply /caption with your text.\n' +
+  'Use /style to choose how the overlay looks and /cancel to stop a video that is being processed. ' +
+  'Group admins can use /settings.'));
+
+// ---------------- Style menu -----------------
+// Only valid choices are kept, so a stale store entry can't break rendering
+function sanitizeStyle(style = {}) {
+  return Object.fromEntries(STYLE_CATEGORIES
+    .filter(c => c.options.includes(style[c.key]))
+    .map(c => [c.key, style[c.key]]));
+}
+
+function getUserStyle(userId) {
+  return sanitizeStyle(userStyles.get(userId));
+}
+
+function describeStyle(style) {
+  return STYLE_CATEGORIES
+    .map(c => `${c.label}: ${style[c.key] || c.unset}`)
+    .join('\n');
+}
 
-// Helper function to process videos
-async function processVideo(ctx, fileId, messageType, deleteOriginal = false) {
+// The same menu edits either a user's own style or a group's pinned style
+const STYLE_SCOPES = {
+  style: {
+    title: 'Your overlay style',
+    surpriseLabel: '🎲 Surprise me',
+    surpriseText: 'Every video will get a random look',
+    get: (ctx) => getUserStyle(ctx.from.id),
+    set: (ctx, style) => userStyles.set(ctx.from.id, style),
+    clear: (ctx) => userStyles.delete(ctx.from.id)
+  },
+  chatstyle: {
+    title: 'Chat-wide overlay style',
+    surpriseLabel: '👤 Use each member\'s own style',
+    surpriseText: 'Members\' own styles will be used',
+    adminOnly: true,
+    backAction: 'settings:menu',
+    get: (ctx) => getChatSettings(ctx.chat.id).style || {},
+    set: (ctx, style) => updateChatSettings(ctx.chat.id, { style }),
+    clear: (ctx) => updateChatSettings(ctx.chat.id, { style: null })
+  }
+};
+
+function styleMenu(scopeName, style) {
+  const scope = STYLE_SCOPES[scopeName];
+  return {
+    text: `${scope.title}:\n${describeStyle(style)}\n\nPick a category to change it.`,
+    keyboard: Markup.inlineKeyboard([
+      ...STYLE_CATEGORIES.map(c => [
+        Markup.button.callback(`${c.label}: ${style[c.key] || c.unset}`, `${scopeName}:open:${c.key}`)
+      ]),
+      [Markup.button.callback(scope.surpriseLabel, `${scopeName}:surprise`)],
+      ...(scope.backAction ? [[Markup.button.callback('« Back', scope.backAction)]] : [])
+    ])
+  };
+}
+
+function styleCategoryMenu(scopeName, category, style) {
+  const mark = (value) => (style[category.key] === value ? '✅ ' : '');
+  return {
+    text: `Choose ${category.label.toLowerCase()}:`,
+    keyboard: Markup.inlineKeyboard([
+      ...category.options.map(option => [
+        Markup.button.callback(`${mark(option)}${option}`, `${scopeName}:set:${category.key}:${option}`)
+      ]),
+      [Markup.button.callback(`${style[category.key] ? '' : '✅ '}${category.unset}`, `${scopeName}:set:${category.key}:`)],
+      [Markup.button.callback('« Back', `${scopeName}:menu`)]
+    ])
+  };
+}
+
+async function showMenu(ctx, menu) {
   try {
-    // Store the original message ID if we need to delete it
-    const originalMessageId = deleteOriginal ? ctx.message.message_id : null;
-    
-    // Skip sending "Processing your video..." message if deleteOriginal is true
-    let processingMessage = null;
-    if (!deleteOriginal) {
-      processingMessage = await ctx.reply('Processing your video...');
+    await ctx.editMessageText(menu.text, menu.keyboard);
+  } catch (err) {
+    // Telegram refuses edits that don't change anything; that's fine
+    if (!err.description?.includes('message is not modified')) throw err;
+  }
+}
+
+// Wraps a callback handler so only chat admins can use group-scoped buttons
+function styleAction(handler) {
+  return async (ctx) => {
+    const scopeName = ctx.match[1];
+    if (STYLE_SCOPES[scopeName].adminOnly && !(await isChatAdmin(ctx))) {
+      return ctx.answerCbQuery('Only chat admins can change this.', { show_alert: true });
+    }
+    return handler(ctx, scopeName, STYLE_SCOPES[scopeName]);
+  };
+}
+
+bot.command('style', async (ctx) => {
+  const menu = styleMenu('style', getUserStyle(ctx.from.id));
+  await ctx.reply(menu.text, menu.keyboard);
+});
+
+bot.action(/^(style|chatstyle):menu$/, styleAction(async (ctx, scopeName, scope) => {
+  await ctx.answerCbQuery();
+  await showMenu(ctx, styleMenu(scopeName, scope.get(ctx)));
+}));
+
+bot.action(/^(style|chatstyle):open:(\w+)$/, styleAction(async (ctx, scopeName, scope) => {
+  const category = STYLE_CATEGORIES.find(c => c.key === ctx.match[2]);
+  if (!category) return ctx.answerCbQuery();
+  await ctx.answerCbQuery();
+  await showMenu(ctx, styleCategoryMenu(scopeName, category, scope.get(ctx)));
+}));
+
+bot.action(/^(style|chatstyle):set:(\w+):(\w*)$/, styleAction(async (ctx, scopeName, scope) => {
+  const [, , key, value] = ctx.match;
+  const category = STYLE_CATEGORIES.find(c => c.key === key);
+  if (!category || (value && !category.options.includes(value))) return ctx.answerCbQuery();
+
+  const style = scope.get(ctx);
+  if (value) {
+    style[key] = value;
+  } else {
+    delete style[key];
+  }
+  scope.set(ctx, style);
+
+  await ctx.answerCbQuery(`${category.label}: ${value || category.unset}`);
+  await showMenu(ctx, styleMenu(scopeName, style));
+}));
+
+bot.action(/^(style|chatstyle):surprise$/, styleAction(async (ctx, scopeName, scope) => {
+  scope.clear(ctx);
+  await ctx.answerCbQuery(scope.surpriseText);
+  await showMenu(ctx, styleMenu(scopeName, {}));
+}));
+// ---------------------------------------------
+
+// ---------------- Group settings -----------------
+const DEFAULT_CHAT_SETTINGS = {
+  autoProcess: true,     // process members' videos automatically
+  deleteOriginal: true,  // replace bubbles instead of replying below them
+  style: null,           // pinned chat-wide style; null uses each member's own
+  allowedUsers: []       // [{ id, name }]; empty means everyone
+};
+
+function getChatSettings(chatId) {
+  const settings = { ...DEFAULT_CHAT_SETTINGS, ...chatSettings.get(chatId) };
+  return { ...settings, style: settings.style && sanitizeStyle(settings.style) };
+}
+
+function updateChatSettings(chatId, changes) {
+  const settings = { ...getChatSettings(chatId), ...changes };
+  chatSettings.set(chatId, settings);
+  return settings;
+}
+
+function isGroupChat(ctx) {
+  return ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+}
+
+async function isChatAdmin(ctx) {
+  // Anonymous admins post on behalf of the group itself
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (err) {
+    console.error('Error checking chat admin:', err);
+    return false;
+  }
+}
+
+// Group settings decide whether a member's video gets processed at all
+function shouldProcess(ctx) {
+  if (!isGroupChat(ctx)) return true;
+  return getChatSettings(ctx.chat.id).autoProcess && isAllowedMember(ctx);
+}
+
+// Whether the chat's allow list (empty means everyone) includes the sender
+function isAllowedMember(ctx) {
+  const { allowedUsers } = getChatSettings(ctx.chat.id);
+  return allowedUsers.length === 0 || allowedUsers.some(u => u.id === ctx.from.id);
+}
+
+// A pinned chat style wins over the sender's own choice
+function getStyleFor(ctx) {
+  return (isGroupChat(ctx) && getChatSettings(ctx.chat.id).style) || getUserStyle(ctx.from.id);
+}
+
+function displayName(user) {
+  return user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(' ');
+}
+
+function settingsMenu(settings) {
+  const onOff = (value) => (value ? 'on' : 'off');
+  const members = settings.allowedUsers.length
+    ? settings.allowedUsers.map(u => u.name).join(', ')
+    : 'everyone';
+  return {
+    text: 'Chat settings\n\n' +
+      `Auto-process videos: ${onOff(settings.autoProcess)}\n` +
+      `Delete original bubbles: ${onOff(settings.deleteOriginal)}\n` +
+      `Style: ${settings.style ? '\n' + describeStyle(settings.style) : 'each member\'s own'}\n` +
+      `Processed members: ${members}\n\n` +
+      'Reply to a member\'s message with /allow or /deny to choose whose videos are processed.',
+    keyboard: Markup.inlineKeyboard([
+      [Markup.button.callback(`Auto-process: ${onOff(settings.autoProcess)}`, 'settings:toggle:autoProcess')],
+      [Markup.button.callback(`Delete originals: ${onOff(settings.deleteOriginal)}`, 'settings:toggle:deleteOriginal')],
+      [Markup.button.callback('🎨 Chat style', 'chatstyle:menu')],
+      ...(settings.allowedUsers.length
+        ? [[Markup.button.callback('👥 Process everyone', 'settings:members:clear')]]
+        : [])
+    ])
+  };
+}
+
+// Wraps a group settings handler with the chat type and admin checks
+function adminOnly(handler) {
+  return async (ctx) => {
+    const isCallback = Boolean(ctx.callbackQuery);
+    const deny = (text) => (isCallback ? ctx.answerCbQuery(text, { show_alert: true }) : ctx.reply(text));
+    if (!isGroupChat(ctx)) return deny('Chat settings are only available in groups.');
+    if (!(await isChatAdmin(ctx))) return deny('Only chat admins can change chat settings.');
+    return handler(ctx);
+  };
+}
+
+bot.command('settings', adminOnly(async (ctx) => {
+  const menu = settingsMenu(getChatSettings(ctx.chat.id));
+  await ctx.reply(menu.text, menu.keyboard);
+}));
+
+bot.action('settings:menu', adminOnly(async (ctx) => {
+  await ctx.answerCbQuery();
+  await showMenu(ctx, settingsMenu(getChatSettings(ctx.chat.id)));
+}));
+
+bot.action(/^settings:toggle:(autoProcess|deleteOriginal)$/, adminOnly(async (ctx) => {
+  const key = ctx.match[1];
+  const settings = updateChatSettings(ctx.chat.id, { [key]: !getChatSettings(ctx.chat.id)[key] });
+  await ctx.answerCbQuery();
+  await showMenu(ctx, settingsMenu(settings));
+}));
+
+bot.action('settings:members:clear', adminOnly(async (ctx) => {
+  const settings = updateChatSettings(ctx.chat.id, { allowedUsers: [] });
+  await ctx.answerCbQuery('Videos from everyone will be processed');
+  await showMenu(ctx, settingsMenu(settings));
+}));
+
+bot.command(['allow', 'deny'], adminOnly(async (ctx) => {
+  const target = ctx.message.reply_to_message?.from;
+  if (!target || target.is_bot) {
+    return ctx.reply(`Reply to a member's message with /${ctx.command} to use it.`);
+  }
+
+  const settings = getChatSettings(ctx.chat.id);
+  const others = settings.allowedUsers.filter(u => u.id !== target.id);
+  if (ctx.command === 'allow') {
+    updateChatSettings(ctx.chat.id, { allowedUsers: [...others, { id: target.id, name: displayName(target) }] });
+    await ctx.reply(`Videos from ${displayName(target)} will be processed. ` +
+      'Only members on this list are processed now; use /settings to process everyone again.');
+  } else {
+    if (others.length === settings.allowedUsers.length) {
+      return ctx.reply(`${displayName(target)} is not on the list. ` +
+        'When the list is empty, everyone\'s videos are processed.');
+    }
+    updateChatSettings(ctx.chat.id, { allowedUsers: others });
+    await ctx.reply(others.length
+      ? `Videos from ${displayName(target)} will no longer be processed.`
+      : 'The list is empty again, so videos from everyone will be processed.');
+  }
+}));
+// -------------------------------------------------
+
+// The processed file is sent back the way the input came: a bubble for a bubble,
+// a GIF for a GIF, a file for a file. Photos and stickers come back as GIFs.
+// A real GIF file or the overlay alone can be asked for instead.
+const REPLY_METHODS = {
+  video: 'replyWithVideo',
+  video_note: 'replyWithVideoNote',
+  animation: 'replyWithAnimation',
+  document: 'replyWithDocument',
+  photo: 'replyWithAnimation',
+  sticker: 'replyWithAnimation',
+  gif: 'replyWithDocument',
+  overlay: 'replyWithDocument'
+};
+
+// Results sent as files: their names, and how the ones that aren't MP4s are
+// rendered. Telegram would turn those into videos, so they are kept as files.
+const FILE_REPLIES = {
+  document: { filename: 'brainrot.mp4' },
+  gif: { filename: 'brainrot.gif', render: { format: 'gif' } },
+  overlay: { filename: 'brainrot-overlay.webm', render: { format: 'webm', overlayOnly: true } }
+};
+
+// Telegram doesn't take files over 50 MB from bots (more from a local Bot API server)
+const UPLOAD_LIMIT_BYTES = (Number(process.env.UPLOAD_LIMIT_MB) || 50) * 1024 * 1024;
+// Videos too big to send are rendered again this many times at most, each
+// time at the next lower quality and this share of the last target size
+const MAX_SHRINK_RENDERS = 2;
+const SHRINK_FACTOR = 0.75;
+
+// Telegram answers uploads over its limit with 413 Request Entity Too Large
+function isTooBigError(err) {
+  return err instanceof TelegramError && (err.code === 413 || /too (big|large)/i.test(err.description));
+}
+
+// The QUALITY_PROFILES entry below `quality`, or the lowest one
+function lowerQuality(quality) {
+  const names = Object.keys(QUALITY_PROFILES);
+  return names[Math.max(0, names.indexOf(quality) - 1)];
+}
+
+// Helper function to process videos; `media` is the Telegram object for `messageType`
+// (the chosen size for photos). With `still`, the file is an image that is
+// turned into a looping clip. The result is sent back as `replyAs` (one of
+// REPLY_METHODS, the input's own type by default); video notes are rendered
+// as square bubbles, and FILE_REPLIES as they say. A `caption` is drawn onto the video.
+// The render is kept under UPLOAD_LIMIT_BYTES where the format allows it.
+async function processVideo(ctx, media, messageType,
+  { deleteOriginal = false, silent = false, still = false, replyAs = messageType, caption = '' } = {}) {
+  // Store the original message ID if we need to delete it
+  const originalMessageId = deleteOriginal ? ctx.message.message_id : null;
+  let processingMessage = null;
+  
+  // Register the job so /cancel and the Cancel button can abort it
+  const userId = ctx.from.id;
+  const jobId = nextJobId++;
+  const controller = new AbortController();
+  const { signal } = controller;
+  activeJobs.set(jobId, { userId, chatId: ctx.chat.id, controller });
+  const cancelKeyboard = Markup.inlineKeyboard([Markup.button.callback('✖️ Cancel', `cancel:${jobId}`)]);
+
+  // Status edits are chained so they reach Telegram in the order they were made.
+  // The Cancel button stays until the job reaches a final state.
+  let statusUpdates = Promise.resolve();
+  const setStatus = (text, { final = false } = {}) => {
+    statusUpdates = statusUpdates.then(async () => {
+      if (!processingMessage) return;
+      try {
+        await ctx.telegram.editMessageText(ctx.chat.id, processingMessage.message_id, null, text,
+          final ? {} : cancelKeyboard);
+      } catch (err) {
+        console.error('Error updating processing message:', err);
+      }
+    });
+    return statusUpdates;
+  };
+
+  // Create unique filenames for this user/session
+  // The message ID keeps names unique when one user sends several videos at once
+  const jobName = `${userId}_${Date.now()}_${ctx.message.message_id}`;
+  // Images keep their extension, which ffmpeg needs to read them as a looped still
+  let inputFilePath = path.join('temp', `input_${jobName}.mp4`);
+  const fileReply = FILE_REPLIES[replyAs];
+  const { format = 'mp4', overlayOnly = false } = fileReply?.render ?? {};
+  const outputFilePath = path.join('temp', `output_${jobName}${OUTPUT_FORMATS[format].extension}`);
+
+  try {
+    // Turn away files that are too big or too long before downloading them
+    try {
+      checkUpload({ fileSize: media.file_size, duration: media.duration }, inputLimits);
+    } catch (err) {
+      if (!(err instanceof InputLimitError)) throw err;
+      console.log(`Rejected ${messageType} from user ${userId}: ${err.limit} over the limit`);
+      if (!silent) await ctx.reply(err.message);
+      return;
     }
     
-    // Get file ID and download info
-    const fileInfo = await ctx.telegram.getFile(fileId);
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${fileInfo.file_path}`;
-    
-    // Create unique filenames for this user/session
-    const userId = ctx.from.id;
-    const timestamp = Date.now();
-    const inputFilePath = path.join('temp', `input_${userId}_${timestamp}.mp4`);
-    const outputFilePath = path.join('temp', `output_${userId}_${timestamp}.mp4`);
-    
-    // Ensure temp directory exists
-    if (!fs.existsSync('temp')) {
-      fs.mkdirSync('temp');
+    // Skip sending "Processing your video..." message in silent mode
+    if (!silent) {
+      processingMessage = await ctx.reply('Processing your video...', cancelKeyboard);
     }
     
-    // Download the video file
-    const download = spawn('curl', ['-o', inputFilePath, fileUrl]);
+    // Pick the seed here so it can be logged; re-run with --seed to reproduce the render locally
+    const seed = randomSeed();
+    const renderOptions = { seed, ...getStyleFor(ctx) };
     
-    // When download is complete, process the video
-    download.on('close', async (code) => {
-      if (code !== 0) {
-        if (processingMessage) {
-          await ctx.telegram.editMessageText(
-            ctx.chat.id, 
-            processingMessage.message_id, 
-            null, 
-            'Error downloading your video.'
-          );
-        }
-        return;
-      }
-      
-      // Process the video with retries
-      await processVideoWithRetries(
-        inputFilePath,
-        outputFilePath,
-        async (success) => {
-          try {
-            if (!success) {
-              if (processingMessage) {
-                await ctx.telegram.editMessageText(
-                  ctx.chat.id, 
-                  processingMessage.message_id, 
-                  null, 
-                  'Error processing your video.'
-                );
-              }
-              return;
-            }
-            
-            // Update processing message if we're not deleting the original
-            if (processingMessage) {
-              await ctx.telegram.editMessageText(
-                ctx.chat.id, 
-                processingMessage.message_id, 
-                null, 
-                'Here\'s your processed video!'
-              );
-            }
-            
-            // Delete the original message if requested
-            if (deleteOriginal && originalMessageId) {
-              try {
-                await ctx.telegram.deleteMessage(ctx.chat.id, originalMessageId);
-              } catch (deleteError) {
-                console.error('Error deleting original message:', deleteError);
-                // Continue with the rest of the processing regardless
-              }
+    // Download and render in a queue worker so only a few videos are handled at once.
+    // Resolves with renderOverlay()'s result, or null once a failure has been reported.
+    // The file is only downloaded for the first render.
+    let downloaded = false;
+    const render = async ({ quality, targetSize }) => {
+      activeJobs.set(jobId, { userId, chatId: ctx.chat.id, controller });
+      let result;
+      try {
+        result = await renderQueue.add(userId, async () => {
+          signal.throwIfAborted();
+          
+          if (!downloaded) {
+            // Get file ID and download info
+            const fileInfo = await ctx.telegram.getFile(media.file_id);
+            const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${fileInfo.file_path}`;
+            if (still) {
+              inputFilePath = path.join('temp', `input_${jobName}${path.extname(fileInfo.file_path) || '.jpg'}`);
             }
             
-            // Send as video note if original was a video note, otherwise as regular video
-            if (messageType === 'video_note') {
-              await ctx.replyWithVideoNote({ source: outputFilePath });
-            } else {
-              await ctx.replyWithVideo({ source: outputFilePath });
+            // Ensure temp directory exists
+            if (!fs.existsSync('temp')) {
+              fs.mkdirSync('temp');
             }
             
-            // Clean up temporary files immediately after sending
-            try {
-              fs.unlinkSync(inputFilePath);
-              fs.unlinkSync(outputFilePath);
-              console.log(`Cleaned up temporary files for user ${userId}`);
-            } catch (err) {
-              console.error('Error cleaning up files:', err);
-            }
-          } catch (error) {
-            console.error('Error sending processed video:', error);
-            if (!deleteOriginal) {
-              await ctx.reply('Sorry, there was an error sending your processed video.');
+            if (!(await downloadFile(fileUrl, inputFilePath, signal))) {
+              signal.throwIfAborted();
+              return 'download-failed';
             }
+            downloaded = true;
           }
+          
+          console.log(`Rendering ${messageType} for user ${userId} with ${JSON.stringify(renderOptions)} (file_id ${media.file_id})`);
+          
+          // Telegram rate-limits message edits, so only show progress every few seconds
+          let lastProgressEdit = 0;
+          const onProgress = (progress) => {
+            if (Date.now() - lastProgressEdit < PROGRESS_EDIT_INTERVAL_MS) return;
+            lastProgressEdit = Date.now();
+            setStatus(formatProgress(progress));
+          };
+          const onRetry = (attempt) => {
+            lastProgressEdit = Date.now();
+            setStatus(`Something went wrong, trying again (attempt ${attempt} of ${MAX_RENDER_ATTEMPTS})...`);
+          };
+          const bubble = replyAs === 'video_note';
+          const soundEffects = replyAs === 'animation' ? null : SOUND_EFFECTS;
+          // Telegram's metadata can be missing or wrong, so this checks the real file too
+          return processFile(inputFilePath, outputFilePath, renderOptions,
+            { still, format, quality, targetSize, overlayOnly, bubble, soundEffects, caption, onProgress, onRetry, signal });
+        }, (update) => setStatus(update.state === 'queued'
+          ? `Your video is #${update.position} in the queue...`
+          : 'Rendering your video...'), signal);
+      } catch (err) {
+        if (err instanceof RenderError) {
+          await setStatus(RENDER_ERROR_MESSAGES[err.code] || 'Error processing your video.', { final: true });
+          return null;
         }
-      );
-    });
-    
-    download.on('error', async (err) => {
-      console.error('Download error:', err);
-      if (!deleteOriginal) {
-        await ctx.reply('Sorry, there was an error downloading your video.');
+        if (err instanceof InputLimitError) {
+          console.log(`Rejected ${messageType} from user ${userId}: ${err.limit} over the limit`);
+          await setStatus(err.message, { final: true });
+          return null;
+        }
+        if (!(err instanceof QueueFullError)) throw err;
+        console.log(`Rejected ${messageType} from user ${userId}: ${err.message}`);
+        await setStatus(err.reason === 'user'
+          ? 'You already have several videos waiting. Please send this one again once they are done.'
+          : 'Sorry, I\'m busy with a lot of videos right now. Please try again in a few minutes.', { final: true });
+        return null;
       }
-    });
+      
+      // The render is done; from here on the job can't be cancelled
+      activeJobs.delete(jobId);
+      
+      if (result === 'download-failed') {
+        await setStatus('Error downloading your video.', { final: true });
+        return null;
+      }
+      return result;
+    };
     
+    // Outputs that can be kept to a size are capped at what bots may upload
+    let targetSize = OUTPUT_FORMATS[format].targetSize ? UPLOAD_LIMIT_BYTES : undefined;
+    let result = await render({ quality: QUALITY, targetSize });
+    if (!result) return;
+    
+    // A video that comes out over the upload limit anyway, or that Telegram
+    // turns down as too big, is rendered again at the next lower quality and
+    // a smaller target, up to MAX_SHRINK_RENDERS times
+    let deleted = false;
+    for (let shrinks = 0; ; shrinks++) {
+      const overLimit = fs.statSync(outputFilePath).size > UPLOAD_LIMIT_BYTES;
+      let sendError = null;
+      if (!overLimit) {
+        // Update processing message if we're not in silent mode
+        await setStatus('Here\'s your processed video!', { final: true });
+        
+        // Delete the original message if requested
+        if (deleteOriginal && originalMessageId && !deleted) {
+          deleted = true;
+          try {
+            await ctx.telegram.deleteMessage(ctx.chat.id, originalMessageId);
+          } catch (deleteError) {
+            console.error('Error deleting original message:', deleteError);
+            // Continue with the rest of the processing regardless
+          }
+        }
+        
+        // Send it back in the same form as the original, unless another was asked for
+        try {
+          await ctx[REPLY_METHODS[replyAs]](
+            fileReply ? { source: outputFilePath, filename: fileReply.filename } : { source: outputFilePath },
+            replyAs === 'video_note' ? { length: result.width }
+              : fileReply?.render ? { disable_content_type_detection: true } : {});
+          return;
+        } catch (error) {
+          sendError = error;
+        }
+      }
+      
+      const tooBig = overLimit || isTooBigError(sendError);
+      if (tooBig && targetSize && shrinks < MAX_SHRINK_RENDERS) {
+        targetSize = Math.floor(targetSize * SHRINK_FACTOR);
+        const quality = lowerQuality(result.quality);
+        console.log(`The ${replyAs} for user ${userId} is too big to send, rendering it again at ${quality} quality`);
+        await setStatus('The video came out too big for Telegram, making a smaller one...');
+        result = await render({ quality, targetSize });
+        if (!result) return;
+        continue;
+      }
+      
+      const tooBigMessage = 'Sorry, your processed video is too big for Telegram. Try a shorter clip.';
+      if (overLimit) {
+        console.log(`The ${replyAs} for user ${userId} is too big to send`);
+        await setStatus(tooBigMessage, { final: true });
+      } else {
+        console.error('Error sending processed video:', sendError);
+        if (!silent) {
+          await ctx.reply(tooBig ? tooBigMessage : 'Sorry, there was an error sending your processed video.');
+        }
+      }
+      return;
+    }
   } catch (error) {
+    if (signal.aborted) {
+      console.log(`Cancelled ${messageType} for user ${userId}`);
+      await setStatus('Cancelled.', { final: true });
+      return;
+    }
     console.error('Error handling video:', error);
-    if (!deleteOriginal) {
+    if (!silent) {
       await ctx.reply('Sorry, something went wrong while processing your video.');
     }
+  } finally {
+    activeJobs.delete(jobId);
+    
+    // Clean up temporary files, whether or not processing succeeded
+    for (const file of [inputFilePath, outputFilePath]) {
+      try {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+      } catch (err) {
+        console.error('Error cleaning up files:', err);
+      }
+    }
   }
 }
 
-// Helper function to process video with retries
-async function processVideoWithRetries(inputFilePath, outputFilePath, callback, retryCount = 0) {
-  const MAX_RETRIES = 2;
-  
+// Download a file with curl; resolves to true on success.
+// Aborting `signal` kills curl.
+function downloadFile(url, destination, signal) {
   return new Promise((resolve) => {
-    // Process the video with our overlay generator
-    const processor = spawn('node', ['generateOverlay.js', inputFilePath, outputFilePath]);
-    
-    processor.stderr.on('data', (data) => {
-      console.log(`Processing log (attempt ${retryCount + 1}): ${data}`);
-    });
-    
-    processor.on('close', async (code) => {
-      if (code !== 0) {
-        console.log(`Processing failed on attempt ${retryCount + 1}`);
-        
-        if (retryCount < MAX_RETRIES) {
-          console.log(`Retrying... Attempt ${retryCount + 2}`);
-          // Retry processing without notifying the user
-          return resolve(processVideoWithRetries(inputFilePath, outputFilePath, callback, retryCount + 1));
-        } else {
-          console.log(`All ${MAX_RETRIES + 1} attempts failed, giving up`);
-          // All retries failed
-          await callback(false);
-          return resolve();
-        }
-      }
-      
-      // Processing succeeded
-      console.log('Processing succeeded');
-      await callback(true);
-      resolve();
+    const download = spawn('curl', ['-sS', '-f', '-o', destination, url], { signal });
+    download.on('close', (code) => resolve(code === 0));
+    download.on('error', (err) => {
+      if (err.name !== 'AbortError') console.error('Download error:', err);
+      resolve(false);
     });
   });
 }
 
+const PROGRESS_EDIT_INTERVAL_MS = 3000;
+
+// "Rendering your video... ▓▓▓▓░░░░░░ 40%, about 25s left"
+function formatProgress({ frame, frames, elapsedMs }) {
+  const fraction = frames > 0 ? Math.min(1, frame / frames) : 0;
+  const filled = Math.round(fraction * 10);
+  const bar = '▓'.repeat(filled) + '░'.repeat(10 - filled);
+  let text = `Rendering your video...\n${bar} ${Math.floor(fraction * 100)}%`;
+  // The first few frames are too noisy for a useful estimate
+  if (fraction >= 0.05 && fraction < 1) {
+    const secondsLeft = Math.ceil((elapsedMs / frame) * (frames - frame) / 1000);
+    text += secondsLeft >= 60
+      ? `, about ${Math.ceil(secondsLeft / 60)} min left`
+      : `, about ${secondsLeft}s left`;
+  } else if (fraction === 1) {
+    text += ', finishing up';
+  }
+  return text;
+}
+
+// Cancel all of the sender's videos in this chat, queued or rendering
+bot.command('cancel', async (ctx) => {
+  const jobs = [...activeJobs.values()].filter(job => job.userId === ctx.from.id && job.chatId === ctx.chat.id);
+  if (!jobs.length) {
+    return ctx.reply('You have no videos being processed.');
+  }
+  jobs.forEach(job => job.controller.abort());
+  await ctx.reply(jobs.length === 1 ? 'Cancelled your video.' : `Cancelled ${jobs.length} videos.`);
+});
+
+bot.action(/^cancel:(\d+)$/, async (ctx) => {
+  const job = activeJobs.get(Number(ctx.match[1]));
+  if (!job) {
+    return ctx.answerCbQuery('This video is already done.');
+  }
+  if (job.userId !== ctx.from.id) {
+    return ctx.answerCbQuery('Only the person who sent this video can cancel it.', { show_alert: true });
+  }
+  job.controller.abort();
+  await ctx.answerCbQuery('Cancelling...');
+});
+
+// ---------------- Incoming media -----------------
+// Files sent "as a file" rather than as a video
+const VIDEO_DOCUMENT_TYPE = /^(video\/|image\/gif$)/;
+
+// The media in a message that can be processed, as { media, messageType, still },
+// or null. Animation messages carry a document too, so they are checked first.
+function mediaOf(msg) {
+  if (msg.video_note) return { media: msg.video_note, messageType: 'video_note' };
+  if (msg.video) return { media: msg.video, messageType: 'video' };
+  if (msg.animation) return { media: msg.animation, messageType: 'animation' };
+  if (msg.document && VIDEO_DOCUMENT_TYPE.test(msg.document.mime_type || '')) {
+    return { media: msg.document, messageType: 'document' };
+  }
+  if (msg.photo) {
+    // Telegram offers several sizes; take the biggest one within the resolution limit
+    const fitting = msg.photo.filter(p => Math.max(p.width, p.height) <= inputLimits.maxDimension);
+    return { media: fitting.length ? fitting[fitting.length - 1] : msg.photo[0], messageType: 'photo', still: true };
+  }
+  // Animated stickers are Lottie vector animations, which ffmpeg can't read
+  if (msg.sticker && !msg.sticker.is_animated) {
+    return { media: msg.sticker, messageType: 'sticker', still: !msg.sticker.is_video };
+  }
+  return null;
+}
+
+// A caption starting with "bubble" asks for the result as a video note, "gif"
+// for a GIF file and "overlay" for the overlay alone; the rest of it, after a
+// /caption command if there is one, is the text to draw
+const REPLY_KEYWORD = /^\/?(bubble|gif|overlay)\b\s*/i;
+const REPLY_KEYWORDS = { bubble: 'video_note', gif: 'gif', overlay: 'overlay' };
+const CAPTION_COMMAND = /^\/caption(@\w+)?\b\s*/i;
+
+function replyAsFor(ctx, messageType) {
+  const keyword = REPLY_KEYWORD.exec(ctx.message.caption || '')?.[1].toLowerCase();
+  return keyword ? REPLY_KEYWORDS[keyword] : messageType;
+}
+
+// Caption text to draw. In groups, captions are usually meant for the chat,
+// so only text after /caption is drawn there.
+function captionTextFor(ctx) {
+  const caption = (ctx.message.caption || '').replace(REPLY_KEYWORD, '');
+  if (isGroupChat(ctx) && !CAPTION_COMMAND.test(caption)) return '';
+  return cleanCaption(caption.replace(CAPTION_COMMAND, ''));
+}
+
 // Handler for regular video messages
 bot.on(message('video'), async (ctx) => {
+  if (!shouldProcess(ctx)) return;
   // Process normal videos with the regular flow (with text messages)
-  await processVideo(ctx, ctx.message.video.file_id, 'video');
+  await processVideo(ctx, ctx.message.video, 'video', {
+    replyAs: replyAsFor(ctx, 'video'),
+    caption: captionTextFor(ctx)
+  });
 });
 
 // Handler for bubble videos (video notes)
 bot.on(message('video_note'), async (ctx) => {
-  // Check if message is from a group
-  const isGroup = ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
+  if (!shouldProcess(ctx)) return;
   
-  if (isGroup) {
-    // In groups: delete original and don't send text messages
-    await processVideo(ctx, ctx.message.video_note.file_id, 'video_note', true);
+  if (isGroupChat(ctx)) {
+    // In groups: don't send text messages, and replace the original if the chat wants that
+    await processVideo(ctx, ctx.message.video_note, 'video_note', {
+      deleteOriginal: getChatSettings(ctx.chat.id).deleteOriginal,
+      silent: true
+    });
   } else {
     // In private chats: use the regular flow with text messages
-    await processVideo(ctx, ctx.message.video_note.file_id, 'video_note');
+    await processVideo(ctx, ctx.message.video_note, 'video_note');
+  }
+});
+
+// GIFs, video files, photos and stickers are only processed in private chats,
+// so the bot doesn't answer every picture posted in a group
+bot.on([message('animation'), message('document'), message('photo'), message('sticker')], async (ctx) => {
+  if (isGroupChat(ctx)) return;
+  if (ctx.message.sticker?.is_animated) {
+    return ctx.reply('Animated stickers aren\'t supported, but video stickers and regular stickers are.');
+  }
+  const found = mediaOf(ctx.message);
+  if (!found) return;
+  await processVideo(ctx, found.media, found.messageType, {
+    still: found.still,
+    replyAs: replyAsFor(ctx, found.messageType),
+    caption: captionTextFor(ctx)
+  });
+});
+
+// Turn a video into a bubble, a bubble into a regular video, or either into a
+// GIF file or a transparent overlay: reply to it with /bubble, /video, /gif or
+// /overlay. Commands only come in text messages; keywords in a media caption
+// are read by the handlers above (see REPLY_KEYWORD).
+const REPLY_COMMANDS = {
+  bubble: { replyAs: 'video_note', description: 'a bubble' },
+  video: { replyAs: 'video', description: 'a regular video' },
+  gif: { replyAs: 'gif', description: 'a GIF file' },
+  overlay: { replyAs: 'overlay', description: 'just the overlay, as a transparent WebM file' }
+};
+
+bot.command(Object.keys(REPLY_COMMANDS), async (ctx) => {
+  const { replyAs, description } = REPLY_COMMANDS[ctx.command];
+  const replyTo = ctx.message.reply_to_message;
+  const found = replyTo && mediaOf(replyTo);
+  if (!found) {
+    return ctx.reply(`Reply to a video, bubble, GIF, photo or sticker with /${ctx.command} ` +
+      `to get it back as ${description}.`);
+  }
+  if (isGroupChat(ctx) && !isAllowedMember(ctx)) return;
+  await processVideo(ctx, found.media, found.messageType, {
+    still: found.still,
+    replyAs,
+    caption: cleanCaption(ctx.payload)
+  });
+});
+
+// Draw text onto a video: reply to it with /caption and the text. The result
+// keeps the video's type. A video sent with "/caption text" as its caption is
+// handled like any captioned video (see captionTextFor()).
+bot.command('caption', async (ctx) => {
+  const replyTo = ctx.message.reply_to_message;
+  const found = replyTo && mediaOf(replyTo);
+  const text = cleanCaption(ctx.payload);
+  if (!found || !text) {
+    return ctx.reply('Reply to a video, bubble, GIF, photo or sticker with /caption and your text, ' +
+      'e.g. /caption when the ring breaks');
   }
+  if (isGroupChat(ctx) && !isAllowedMember(ctx)) return;
+  await processVideo(ctx, found.media, found.messageType, { still: found.still, caption: text });
 });
+// -------------------------------------------------
 
 // Launch the bot
 bot.launch().then(() => {
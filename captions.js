@@ -0,0 +1,206 @@
+/*
+User text drawn over the overlay, and the optional branding watermark.
+Captions are wrapped to fit, outlined so they read over any video and can pop
+in or wobble. The watermark is text and/or an image in a corner; it doesn't
+move, so the renderer draws it once.
+*/
+
+export const CAPTION_POSITIONS = ['top', 'middle', 'bottom'];
+export const CAPTION_ANIMATIONS = ['none', 'pop', 'wobble'];
+export const WATERMARK_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const FONT = '"DejaVu Sans", sans-serif'; // bundled in fonts/
+const CAPTION_SIZE = 0.08;       // as a fraction of the shorter side
+const CAPTION_MIN_SIZE = 0.04;   // long captions shrink down to this before they are cut
+const CAPTION_MAX_LINES = 3;
+const CAPTION_MARGIN = 0.06;
+const POP_SECONDS = 0.5;
+const WOBBLE_HZ = 1.5;
+const WATERMARK_SIZE = 0.04;
+const WATERMARK_MARGIN = 0.03;
+const WATERMARK_IMAGE_WIDTH = 0.25;  // largest image, as fractions of the shorter side
+const WATERMARK_IMAGE_HEIGHT = 0.12;
+
+// Throws if the caption settings can't be drawn
+export function validateCaption({ text, position = 'bottom', animation = 'pop' }) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('The caption needs some text');
+  }
+  if (!CAPTION_POSITIONS.includes(position)) {
+    throw new Error(`Unknown caption position "${position}". Known positions: ${CAPTION_POSITIONS.join(', ')}`);
+  }
+  if (!CAPTION_ANIMATIONS.includes(animation)) {
+    throw new Error(`Unknown caption animation "${animation}". Known animations: ${CAPTION_ANIMATIONS.join(', ')}`);
+  }
+}
+
+// Throws if the watermark settings can't be drawn
+export function validateWatermark({ text, image, corner = 'bottom-right', opacity = 0.5 }) {
+  if (!text && !image) {
+    throw new Error('The watermark needs text or an image');
+  }
+  if (!WATERMARK_CORNERS.includes(corner)) {
+    throw new Error(`Unknown watermark corner "${corner}". Known corners: ${WATERMARK_CORNERS.join(', ')}`);
+  }
+  if (!(opacity >= 0 && opacity <= 1)) {
+    throw new Error(`Invalid watermark opacity ${opacity}: expected a number from 0 to 1`);
+  }
+}
+
+// Splits text into lines no wider than maxWidth with the current ctx.font.
+// Words that don't fit on a line of their own are split between characters.
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+// Text with a soft shadow and a dark outline under the fill
+function outlinedText(ctx, text, x, y, size, color = '#ffffff') {
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = size * 0.16;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+  ctx.shadowBlur = size * 0.25;
+  ctx.shadowOffsetY = size * 0.06;
+  ctx.strokeText(text, x, y);
+  ctx.shadowColor = 'transparent';
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+}
+
+// Overshoots a little before settling, for the pop-in
+function easeOutBack(x) {
+  const c1 = 1.70158;
+  return 1 + (c1 + 1) * (x - 1) ** 3 + c1 * (x - 1) ** 2;
+}
+
+// Creates a caption for a width x height overlay. Call update(dt) and then
+// draw(ctx) every frame. With `circular`, it stays inside the video note circle.
+// `insets` ({ top, bottom } in pixels) keeps it clear of other text at the edges.
+export function createCaption({
+  width, height, text, position = 'bottom', animation = 'pop', circular = false, insets = { top: 0, bottom: 0 }
+}) {
+  validateCaption({ text, position, animation });
+  const SHORTER = Math.min(width, height);
+  const maxWidth = circular ? SHORTER * 0.75 : width * 0.9;
+  let time = 0;
+  let layout = null;
+
+  // Wraps the text, shrinking it until it fits in CAPTION_MAX_LINES, and cuts
+  // what still doesn't fit
+  function layOut(ctx) {
+    let size = SHORTER * CAPTION_SIZE;
+    let lines;
+    for (;;) {
+      ctx.font = `bold ${size}px ${FONT}`;
+      lines = wrapText(ctx, text.trim(), maxWidth);
+      if (lines.length <= CAPTION_MAX_LINES || size * 0.9 < SHORTER * CAPTION_MIN_SIZE) break;
+      size *= 0.9;
+    }
+    if (lines.length > CAPTION_MAX_LINES) {
+      lines = lines.slice(0, CAPTION_MAX_LINES);
+      let last = lines[CAPTION_MAX_LINES - 1];
+      while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+      lines[CAPTION_MAX_LINES - 1] = `${last.trimEnd()}…`;
+    }
+
+    const lineHeight = size * 1.2;
+    const blockHeight = lines.length * lineHeight;
+    // Inside a bubble, the caption keeps away from the curved edge
+    const edge = circular ? height / 2 - SHORTER / 2 + SHORTER * 0.12 : SHORTER * CAPTION_MARGIN;
+    const centerY = position === 'top' ? Math.max(edge, insets.top) + blockHeight / 2
+      : position === 'bottom' ? height - Math.max(edge, insets.bottom) - blockHeight / 2
+      : height / 2;
+    return { size, lines, lineHeight, centerY };
+  }
+
+  function update(dt) {
+    time += dt;
+  }
+
+  function draw(ctx) {
+    layout ??= layOut(ctx);
+    const { size, lines, lineHeight, centerY } = layout;
+
+    let scale = 1;
+    let angle = 0;
+    if (animation === 'pop') {
+      scale = time < POP_SECONDS ? Math.max(0, easeOutBack(time / POP_SECONDS)) : 1;
+    } else if (animation === 'wobble') {
+      angle = Math.sin(time * Math.PI * 2 * WOBBLE_HZ) * 0.05;
+      scale = 1 + Math.sin(time * Math.PI * 4 * WOBBLE_HZ) * 0.03;
+    }
+    if (scale <= 0) return;
+
+    ctx.save();
+    ctx.translate(width / 2, centerY);
+    ctx.rotate(angle);
+    ctx.scale(scale, scale);
+    ctx.font = `bold ${size}px ${FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      outlinedText(ctx, line, 0, (i - (lines.length - 1) / 2) * lineHeight, size);
+    });
+    ctx.restore();
+  }
+
+  return { update, draw };
+}
+
+// Draws the watermark onto a width x height canvas: `image` (anything
+// ctx.drawImage takes) above `text`, both optional, in `corner`. With
+// `circular`, it goes to the bottom of the video note circle instead, since
+// its corners aren't shown. Opacity is left to the caller.
+// Returns how far it reaches from the top and bottom edges, like the HUD's insets.
+export function drawWatermark(ctx, { width, height, text, image, corner = 'bottom-right', circular = false }) {
+  const SHORTER = Math.min(width, height);
+  const size = SHORTER * WATERMARK_SIZE;
+  const margin = SHORTER * WATERMARK_MARGIN;
+  const [vertical, horizontal] = circular ? ['bottom', 'center'] : corner.split('-');
+
+  const imageScale = image
+    ? Math.min(SHORTER * WATERMARK_IMAGE_WIDTH / image.width, SHORTER * WATERMARK_IMAGE_HEIGHT / image.height)
+    : 0;
+  const imageWidth = image ? image.width * imageScale : 0;
+  const imageHeight = image ? image.height * imageScale : 0;
+  const gap = image && text ? size * 0.3 : 0;
+  const blockHeight = imageHeight + gap + (text ? size : 0);
+
+  const top = circular ? height / 2 + SHORTER * 0.42 - blockHeight
+    : vertical === 'top' ? margin : height - margin - blockHeight;
+  const anchorX = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin : width / 2;
+  const alignedX = (w) => horizontal === 'left' ? anchorX : horizontal === 'right' ? anchorX - w : anchorX - w / 2;
+
+  ctx.save();
+  if (image) ctx.drawImage(image, alignedX(imageWidth), top, imageWidth, imageHeight);
+  if (text) {
+    ctx.font = `bold ${size}px ${FONT}`;
+    ctx.textAlign = horizontal;
+    ctx.textBaseline = 'top';
+    outlinedText(ctx, text, anchorX, top + imageHeight + gap, size);
+  }
+  ctx.restore();
+  const reachesTop = !circular && vertical === 'top';
+  return { top: reachesTop ? top + blockHeight : 0, bottom: reachesTop ? 0 : height - top };
+}
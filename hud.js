@@ -0,0 +1,130 @@
+/*
+Optional HUD drawn over the overlay: broken rings, the current combo of
+pass-throughs without a bounce in between, the elapsed time and a score card
+on the last frames. Font, colors and corner come from the color scheme.
+It only listens to simulation events; the fonts it uses are bundled in fonts/.
+*/
+
+import { GRADIENT_SCHEMES } from './simulation.js';
+
+const TEXT_SIZE = 0.05;          // as a fraction of the shorter side
+const MARGIN = 0.04;             // distance from the edges, same unit
+const BREAK_POINTS = 100;        // per broken ring, times the combo
+const COMBO_POP_SECONDS = 0.3;   // the combo grows and shrinks back when it goes up
+const SCORE_CARD_SECONDS = 2;    // at most this long, and at most a quarter of the clip
+const SCORE_CARD_FADE_SECONDS = 0.3;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 'S'}`;
+}
+
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Creates a HUD for a width x height overlay `duration` seconds long, themed
+// after the color scheme named `colorScheme`. Pass every simulation event to
+// onEvent(), then call update(dt) and draw(ctx) after the simulation's.
+// With `circular`, it stays at the top of the video note circle.
+// `insets` tells how far it reaches from the top and bottom edges, so other
+// text can keep clear of it.
+export function createHud({ width, height, colorScheme, duration, circular = false }) {
+  const theme = GRADIENT_SCHEMES.find(s => s.name === colorScheme).hud;
+  const SHORTER = Math.min(width, height);
+  const size = SHORTER * TEXT_SIZE;
+  const margin = SHORTER * MARGIN;
+  const scoreCardSeconds = Math.min(SCORE_CARD_SECONDS, duration / 4);
+  // A bubble only shows the circle, so the HUD goes to its top middle
+  const corner = circular ? 'top-center' : theme.corner;
+  const [vertical, horizontal] = corner.split('-');
+  const top = circular ? height / 2 - SHORTER / 2 + SHORTER * 0.1 : margin;
+  const LINE_HEIGHT = size * 1.25;
+  const reach = (vertical === 'top' ? top : margin) + LINE_HEIGHT * 3;
+  const insets = { top: vertical === 'top' ? reach : 0, bottom: vertical === 'bottom' ? reach : 0 };
+
+  let time = 0;
+  let ringsBroken = 0;
+  let combo = 0;
+  let bestCombo = 0;
+  let score = 0;
+  let comboPop = 0;
+
+  function onEvent(event) {
+    if (event.type === 'break') {
+      combo++;
+      bestCombo = Math.max(bestCombo, combo);
+      ringsBroken++;
+      score += BREAK_POINTS * combo;
+      if (combo > 1) comboPop = COMBO_POP_SECONDS;
+    } else if (event.type === 'bounce' || event.type === 'reset') {
+      combo = 0;
+    }
+  }
+
+  function update(dt) {
+    time += dt;
+    comboPop = Math.max(0, comboPop - dt);
+  }
+
+  // Text with a dark outline, so it reads over any video
+  function label(ctx, text, x, y, { color = theme.color, scale = 1 } = {}) {
+    ctx.font = `bold ${size * scale}px ${theme.font}`;
+    ctx.lineWidth = size * scale * 0.15;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.strokeText(text, x, y);
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+  }
+
+  function drawCounters(ctx) {
+    const lines = [
+      { text: plural(ringsBroken, 'RING') },
+      { text: formatTime(time) }
+    ];
+    if (combo > 1) {
+      lines.push({ text: `COMBO x${combo}`, color: theme.accent, scale: 1 + comboPop / COMBO_POP_SECONDS * 0.4 });
+    }
+
+    const x = horizontal === 'left' ? margin : horizontal === 'right' ? width - margin : width / 2;
+    ctx.textAlign = horizontal === 'center' ? 'center' : horizontal;
+    ctx.textBaseline = vertical;
+    const direction = vertical === 'top' ? 1 : -1;
+    let y = vertical === 'top' ? top : height - margin;
+    for (const line of direction === 1 ? lines : [...lines].reverse()) {
+      label(ctx, line.text, x, y, line);
+      y += direction * LINE_HEIGHT * (line.scale ?? 1);
+    }
+  }
+
+  function drawScoreCard(ctx, alpha) {
+    const cardWidth = SHORTER * 0.6;
+    const cardHeight = SHORTER * 0.34;
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.roundRect(width / 2 - cardWidth / 2, height / 2 - cardHeight / 2, cardWidth, cardHeight, SHORTER * 0.03);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    label(ctx, 'SCORE', width / 2, height / 2 - cardHeight * 0.3);
+    label(ctx, String(score), width / 2, height / 2, { color: theme.accent, scale: 2.4 });
+    const details = [plural(ringsBroken, 'RING'), bestCombo > 1 && `BEST COMBO x${bestCombo}`, formatTime(time)];
+    label(ctx, details.filter(Boolean).join(' · '), width / 2, height / 2 + cardHeight * 0.32, { scale: 0.6 });
+    ctx.globalAlpha = 1;
+  }
+
+  function draw(ctx) {
+    ctx.save();
+    const cardStart = duration - scoreCardSeconds;
+    if (scoreCardSeconds > 0 && time > cardStart) {
+      drawScoreCard(ctx, Math.min(1, (time - cardStart) / SCORE_CARD_FADE_SECONDS));
+    } else {
+      drawCounters(ctx);
+    }
+    ctx.restore();
+  }
+
+  return { onEvent, update, draw, insets };
+}
@@ -0,0 +1,64 @@
+/*
+Limits on the videos users send, read from the environment.
+A video over a limit is rejected with a message for the user, unless
+AUTO_TRIM / AUTO_DOWNSCALE allow rendering a shorter or smaller version instead.
+*/
+
+export class InputLimitError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'InputLimitError';
+    this.limit = limit; // 'fileSize' | 'duration' | 'resolution' | 'fps'
+  }
+}
+
+export function readInputLimits(env = process.env) {
+  return {
+    // Telegram doesn't let bots download files over 20 MB anyway
+    maxFileSize: (Number(env.MAX_FILE_SIZE_MB) || 20) * 1024 * 1024,
+    maxDuration: Number(env.MAX_DURATION_SECONDS) || 60,
+    maxDimension: Number(env.MAX_RESOLUTION) || 1280,
+    maxFps: Number(env.MAX_FPS) || 60,
+    autoTrim: env.AUTO_TRIM === 'true',
+    autoDownscale: env.AUTO_DOWNSCALE === 'true'
+  };
+}
+
+function formatDuration(seconds) {
+  return seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60} min` : `${Math.ceil(seconds)}s`;
+}
+
+// Checks what is known before downloading: Telegram's file_size and duration.
+// Either may be missing, in which case only the probe below can tell.
+export function checkUpload({ fileSize, duration }, limits) {
+  if (fileSize > limits.maxFileSize) {
+    const mb = (bytes) => Math.ceil(bytes / (1024 * 1024));
+    throw new InputLimitError(`This file is ${mb(fileSize)} MB, but I can only take files up to ` +
+      `${mb(limits.maxFileSize)} MB. Please send a smaller or shorter video.`, 'fileSize');
+  }
+  if (duration > limits.maxDuration && !limits.autoTrim) {
+    throw new InputLimitError(`This video is ${formatDuration(duration)} long, but I can only take videos up to ` +
+      `${formatDuration(limits.maxDuration)}. Please send a shorter clip.`, 'duration');
+  }
+}
+
+// Checks the probed video ({ width, height, fps, duration }) and returns the
+// `limits` option for renderOverlay() that trims or downscales it where allowed.
+export function fitInput(meta, limits) {
+  checkUpload({ duration: meta.duration }, limits);
+  if (!limits.autoDownscale) {
+    if (Math.max(meta.width, meta.height) > limits.maxDimension) {
+      throw new InputLimitError(`This video is ${meta.width}×${meta.height}, but I can only take videos up to ` +
+        `${limits.maxDimension} pixels on each side. Please send a smaller video.`, 'resolution');
+    }
+    if (Math.round(meta.fps) > limits.maxFps) {
+      throw new InputLimitError(`This video has ${Math.round(meta.fps)} frames per second, but I can only take up to ` +
+        `${limits.maxFps}. Please send a video with a lower frame rate.`, 'fps');
+    }
+  }
+  return {
+    maxDuration: limits.maxDuration,
+    maxDimension: limits.maxDimension,
+    maxFps: limits.maxFps
+  };
+}
@@ -0,0 +1,144 @@
+/*
+In-process job queue with a fixed number of workers.
+Users take turns: the next job to start belongs to the waiting user who was
+served least recently, so one user sending ten videos can't hold up everyone else.
+*/
+
+export class QueueFullError extends Error {
+  constructor(reason) {
+    super(reason === 'user' ? 'Too many queued jobs for this user' : 'Job queue is full');
+    this.name = 'QueueFullError';
+    this.reason = reason; // 'queue' | 'user'
+  }
+}
+
+export function createJobQueue({ concurrency = 1, maxLength = Infinity, maxPerUser = Infinity } = {}) {
+  const waiting = new Map();    // userId -> [job]
+  const lastServed = new Map(); // userId -> turn number, kept while the user has jobs
+  const activeByUser = new Map(); // userId -> number of running jobs
+  let waitingCount = 0;
+  let running = 0;
+  let turn = 0;
+
+  // Waiting user whose turn it is: never served first, then least recently served
+  function pickUser(served, hasJobs = () => true) {
+    let best = null;
+    for (const userId of waiting.keys()) {
+      if (!hasJobs(userId)) continue;
+      if (best === null || (served.get(userId) ?? 0) < (served.get(best) ?? 0)) best = userId;
+    }
+    return best;
+  }
+
+  // Waiting jobs in the order they will start, by replaying the turn-taking rules
+  function startOrder() {
+    const served = new Map(lastServed);
+    const taken = new Map();
+    const order = [];
+    let fakeTurn = turn;
+    while (order.length < waitingCount) {
+      const best = pickUser(served, userId => (taken.get(userId) || 0) < waiting.get(userId).length);
+      const index = taken.get(best) || 0;
+      order.push(waiting.get(best)[index]);
+      taken.set(best, index + 1);
+      served.set(best, ++fakeTurn);
+    }
+    return order;
+  }
+
+  function checkRoom(userId) {
+    if ((waiting.get(userId)?.length ?? 0) >= maxPerUser) {
+      throw new QueueFullError('user');
+    }
+    if (waitingCount >= maxLength && running >= concurrency) {
+      throw new QueueFullError('queue');
+    }
+  }
+
+  function notifyPositions() {
+    startOrder().forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      job.notify({ state: 'queued', position: job.position });
+    });
+  }
+
+  function next() {
+    while (running < concurrency && waitingCount > 0) {
+      const userId = pickUser(lastServed);
+      const jobs = waiting.get(userId);
+      const job = jobs.shift();
+      if (!jobs.length) waiting.delete(userId);
+      waitingCount--;
+
+      lastServed.set(userId, ++turn);
+      activeByUser.set(userId, (activeByUser.get(userId) || 0) + 1);
+      running++;
+      job.notify({ state: 'running' });
+      Promise.resolve()
+        .then(job.run)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          const active = activeByUser.get(userId) - 1;
+          if (active) {
+            activeByUser.set(userId, active);
+          } else {
+            activeByUser.delete(userId);
+            if (!waiting.has(userId)) lastServed.delete(userId);
+          }
+          next();
+        });
+    }
+    notifyPositions();
+  }
+
+  return {
+    get running() { return running; },
+    get waiting() { return waitingCount; },
+
+    // Throws the QueueFullError add() would reject a job of userId's with now
+    checkRoom,
+
+    // Resolves with the result of run() once a worker has executed it.
+    // onUpdate receives { state: 'queued', position } and { state: 'running' }.
+    // Aborting `signal` drops a job that is still waiting and rejects with the
+    // abort reason; a running job has to watch the signal itself.
+    add(userId, run, onUpdate = () => {}, signal) {
+      if (signal?.aborted) {
+        return Promise.reject(signal.reason);
+      }
+      try {
+        checkRoom(userId);
+      } catch (err) {
+        return Promise.reject(err);
+      }
+      const userJobs = waiting.get(userId) || [];
+
+      return new Promise((resolve, reject) => {
+        const notify = (update) => {
+          Promise.resolve()
+            .then(() => onUpdate(update))
+            .catch(err => console.error('Error in job queue update handler:', err));
+        };
+        const job = { run, resolve, reject, notify, position: null };
+        userJobs.push(job);
+        if (!waiting.has(userId)) waiting.set(userId, userJobs);
+        waitingCount++;
+
+        signal?.addEventListener('abort', () => {
+          const jobs = waiting.get(userId);
+          const index = jobs ? jobs.indexOf(job) : -1;
+          if (index === -1) return; // already started
+          jobs.splice(index, 1);
+          if (!jobs.length) waiting.delete(userId);
+          waitingCount--;
+          reject(signal.reason);
+          notifyPositions();
+        }, { once: true });
+
+        next();
+      });
+    }
+  };
+}
@@ -0,0 +1,766 @@
+/*
+Render the brainrot overlay on top of a video with ffmpeg, or on its own for
+editing software, as MP4, WebM, ProRes, GIF or PNG frames.
+
+  import { renderOverlay } from './renderOverlay.js';
+  const result = await renderOverlay({ input: 'in.mp4', output: 'out.mp4', options: { colorScheme: 'neon' } });
+
+Every call runs its own simulation, so several renders can share one process.
+*/
+
+import { createCanvas, loadImage, GlobalFonts } from '@napi-rs/canvas';
+import { spawn, execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createSimulation, randomSeed } from './simulation.js';
+import { computeAudioFeatures } from './audioFeatures.js';
+import { detectSubject, trackSubject } from './subjectTracking.js';
+import { synthesizeEffects, mixEffects } from './soundEffects.js';
+import { createHud } from './hud.js';
+import { createCaption, drawWatermark, validateCaption, validateWatermark } from './captions.js';
+
+export {
+  GRADIENT_SCHEMES, RING_CONFIGURATIONS, BALL_EFFECTS, DESTRUCTION_EFFECTS,
+  STYLE_OPTIONS, NUMERIC_OPTIONS, MAX_SEED, TIMELINE_VERSION, randomSeed, validateOptions
+} from './simulation.js';
+export {
+  CAPTION_POSITIONS, CAPTION_ANIMATIONS, WATERMARK_CORNERS, validateCaption, validateWatermark
+} from './captions.js';
+
+// --------- Errors ---------
+// Every failure is classified so callers can tell bad input (permanent) from
+// trouble that may go away on a retry (transient). The CLI exits with exitCode.
+export const RENDER_ERRORS = {
+  PROBE_FAILED: { exitCode: 10, transient: false },      // ffprobe can't read the file
+  NO_VIDEO_STREAM: { exitCode: 11, transient: false },   // file has no video track
+  UNSUPPORTED_CODEC: { exitCode: 12, transient: false }, // ffmpeg can't decode the video
+  ENCODE_FAILED: { exitCode: 13, transient: true },      // ffmpeg failed for another reason
+  TIMEOUT: { exitCode: 14, transient: false },           // render took longer than timeoutMs
+  OUT_OF_MEMORY: { exitCode: 15, transient: true },      // ffmpeg or the canvas ran out of memory
+  INVALID_VIDEO: { exitCode: 16, transient: false },     // no usable size, frame rate or duration
+  FFMPEG_MISSING: { exitCode: 17, transient: false },    // ffmpeg or ffprobe isn't installed: the server's fault
+  WATERMARK_FAILED: { exitCode: 18, transient: false }   // the watermark image can't be loaded: the server's fault
+};
+
+export class RenderError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'RenderError';
+    this.code = code;
+    this.transient = RENDER_ERRORS[code].transient;
+    this.exitCode = RENDER_ERRORS[code].exitCode;
+  }
+}
+
+const UNSUPPORTED_CODEC_PATTERN = /Decoder \(codec .*\) not found|Unsupported codec|could not find codec parameters|Invalid data found when processing input/i;
+const OUT_OF_MEMORY_PATTERN = /Cannot allocate memory|out of memory|allocation failed/i;
+
+// Turns a failed ffmpeg run into a RenderError using its exit status and log
+function ffmpegError(code, signal, log) {
+  const lastLines = log.trim().split('\n').slice(-3).join('\n');
+  // Nobody but the kernel's OOM killer sends ffmpeg SIGKILL unless we aborted
+  if (signal === 'SIGKILL' || OUT_OF_MEMORY_PATTERN.test(log)) {
+    return new RenderError('OUT_OF_MEMORY', `ffmpeg ran out of memory: ${lastLines}`);
+  }
+  if (UNSUPPORTED_CODEC_PATTERN.test(log)) {
+    return new RenderError('UNSUPPORTED_CODEC', `ffmpeg could not decode the input: ${lastLines}`);
+  }
+  return new RenderError('ENCODE_FAILED', `ffmpeg exited with ${signal || `code ${code}`}: ${lastLines}`);
+}
+
+// Turns a failure to start ffmpeg or ffprobe (`tool`) into a RenderError
+function spawnError(tool, err) {
+  if (err.code === 'ENOENT') {
+    return new RenderError('FFMPEG_MISSING', `${tool} is not installed or not on the PATH`, { cause: err });
+  }
+  return new RenderError('ENCODE_FAILED', `Could not start ${tool}: ${err.message}`, { cause: err });
+}
+
+// "30000/1001" -> 29.97; undefined for missing or "0/0" rates
+function parseFrameRate(rate) {
+  const [num, den] = String(rate).split('/').map(Number);
+  const fps = den === undefined ? num : num / den;
+  return Number.isFinite(fps) && fps > 0 ? fps : undefined;
+}
+
+// Resolves with the first video stream and the format section of ffprobe's output
+function ffprobe(path) {
+  return new Promise((resolve, reject) => {
+    execFile('ffprobe', ['-v', 'error', '-select_streams', 'v:0', '-show_entries',
+      'stream=width,height,r_frame_rate,avg_frame_rate,duration:format=duration', '-of', 'json', path], (err, stdout, stderr) => {
+      if (err?.code === 'ENOENT') return reject(spawnError('ffprobe', err));
+      if (err) {
+        return reject(new RenderError('PROBE_FAILED', `ffprobe failed: ${stderr.trim() || err.message}`));
+      }
+      let info;
+      try {
+        info = JSON.parse(stdout);
+      } catch (parseError) {
+        return reject(new RenderError('PROBE_FAILED', 'ffprobe returned invalid JSON', { cause: parseError }));
+      }
+      const stream = info.streams?.[0];
+      if (!stream) {
+        return reject(new RenderError('NO_VIDEO_STREAM', `${path} has no video stream`));
+      }
+      if (!(stream.width > 0 && stream.height > 0)) {
+        return reject(new RenderError('INVALID_VIDEO', `${path} has no frame size`));
+      }
+      resolve({ stream, format: info.format });
+    });
+  });
+}
+
+// Resolves with { width, height, fps, duration } of the first video stream.
+// Rejects with a RenderError unless all four are usable.
+export async function probeVideo(path) {
+  const { stream, format } = await ffprobe(path);
+  // Some containers only report the average rate, and some only the stream duration
+  const fps = parseFrameRate(stream.r_frame_rate) ?? parseFrameRate(stream.avg_frame_rate);
+  const duration = parseFloat(format?.duration ?? stream.duration);
+  if (!fps) {
+    throw new RenderError('INVALID_VIDEO', `${path} has no frame rate`);
+  }
+  if (!(duration > 0)) {
+    throw new RenderError('INVALID_VIDEO', `${path} has no duration`);
+  }
+  return { width: stream.width, height: stream.height, fps, duration };
+}
+
+// A still image has no frame rate or length of its own; it is shown for
+// `duration` seconds at STILL_FPS. Resolves like probeVideo().
+const STILL_FPS = 30;
+export async function probeImage(path, duration) {
+  const { stream } = await ffprobe(path);
+  return { width: stream.width, height: stream.height, fps: STILL_FPS, duration };
+}
+
+// Samples (-1..1, interleaved when channels > 1) of the first `duration`
+// seconds of the input's audio, or null when it has none
+const AUDIO_SAMPLE_RATE = 22050;
+export function extractAudio(path, { duration, signal, sampleRate = AUDIO_SAMPLE_RATE, channels = 1 } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', ...(duration ? ['-t', `${duration}`] : []), '-i', path,
+      '-map', '0:a:0?', '-vn', '-ac', `${channels}`, '-ar', `${sampleRate}`, '-f', 's16le', '-'];
+    const ffmpeg = spawn('ffmpeg', args, { signal });
+    const chunks = [];
+    let stderr = '';
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', d => { stderr = (stderr + d).slice(-2000); });
+    ffmpeg.on('error', err => reject(err.name === 'AbortError'
+      ? abortError(signal)
+      : spawnError('ffmpeg', err)));
+    ffmpeg.on('close', (code, exitSignal) => {
+      if (signal?.aborted) return;
+      // The optional audio map leaves ffmpeg with nothing to write
+      if (/does not contain any stream/.test(stderr)) return resolve(null);
+      if (code !== 0) return reject(ffmpegError(code, exitSignal, stderr));
+      const pcm = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(pcm.length / 2));
+      for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2) / 32768;
+      resolve(samples.length ? samples : null);
+    });
+  });
+}
+
+// Small RGB24 frames of the input, `fps` per second, for subject detection.
+// `filter` is put in front of the scaling, e.g. a crop.
+const ANALYSIS_WIDTH = 64;
+function sampleFrames(path, { fps, width, height, duration, filter = '', still = false, signal }) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', ...(duration && !still ? ['-t', `${duration}`] : []), '-i', path,
+      '-vf', `${still ? '' : `fps=${fps},`}${filter}scale=${width}:${height}`,
+      ...(still ? ['-frames:v', '1'] : []), '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-'];
+    const ffmpeg = spawn('ffmpeg', args, { signal });
+    const chunks = [];
+    let stderr = '';
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', d => { stderr = (stderr + d).slice(-2000); });
+    ffmpeg.on('error', err => reject(err.name === 'AbortError'
+      ? abortError(signal)
+      : spawnError('ffmpeg', err)));
+    ffmpeg.on('close', (code, exitSignal) => {
+      if (signal?.aborted) return;
+      if (code !== 0) return reject(ffmpegError(code, exitSignal, stderr));
+      const data = Buffer.concat(chunks);
+      const frameSize = width * height * 3;
+      const frames = [];
+      for (let offset = 0; offset + frameSize <= data.length; offset += frameSize) {
+        frames.push(data.subarray(offset, offset + frameSize));
+      }
+      resolve(frames);
+    });
+  });
+}
+
+// 16-bit PCM WAV file
+function writeWav(path, samples, { sampleRate, channels }) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((v, i) => data.writeInt16LE(Math.round(v * 32767), i * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);                          // fmt chunk size
+  header.writeUInt16LE(1, 20);                           // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);   // byte rate
+  header.writeUInt16LE(channels * 2, 32);                // block align
+  header.writeUInt16LE(16, 34);                          // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  fs.writeFileSync(path, Buffer.concat([header, data]));
+}
+
+function abortError(signal) {
+  if (signal.reason instanceof Error) return signal.reason;
+  const err = new Error('Render aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// The HUD, captions and watermark only use the fonts bundled in fonts/,
+// never system fonts, so they look the same everywhere
+const FONT_FILES = ['DejaVuSans-Bold.ttf', 'DejaVuSansMono-Bold.ttf', 'DejaVuSerif-Bold.ttf'];
+let fontsLoaded = false;
+function loadFonts() {
+  if (fontsLoaded) return;
+  for (const file of FONT_FILES) {
+    if (!GlobalFonts.registerFromPath(new URL(`./fonts/${file}`, import.meta.url).pathname)) {
+      throw new Error(`Cannot load the font fonts/${file}`);
+    }
+  }
+  fontsLoaded = true;
+}
+
+// Telegram accepts video notes up to 640x640
+export const BUBBLE_MAX_SIZE = 640;
+
+// --------- Quality ---------
+// Encoder settings, from the quickest to encode to the best looking: x264's
+// `crf` and `preset`, and libvpx's `vp9Crf` and `cpuUsed`. ProRes, GIF and PNG
+// are the same at every quality. `bitsPerPixel` is about what an MP4 of the
+// overlay takes per pixel of every frame, for estimateSize().
+export const QUALITY_PROFILES = {
+  fast: { crf: 26, preset: 'superfast', vp9Crf: 38, cpuUsed: 5, bitsPerPixel: 0.18 },
+  balanced: { crf: 18, preset: 'veryfast', vp9Crf: 32, cpuUsed: 4, bitsPerPixel: 0.25 },
+  best: { crf: 16, preset: 'medium', vp9Crf: 28, cpuUsed: 2, bitsPerPixel: 0.33 }
+};
+
+// Share of a target size left for the container and for encoders going a
+// little over their bitrate, and the audio bitrate used with a target
+const TARGET_MARGIN = 0.1;
+const TARGET_AUDIO_KBPS = 96;
+const MIN_VIDEO_KBPS = 100;
+
+// Rough size in bytes of a { width, height, fps, duration } MP4 render at `quality`
+export function estimateSize({ width, height, fps, duration }, quality) {
+  const videoBits = width * height * fps * duration * QUALITY_PROFILES[quality].bitsPerPixel;
+  return Math.ceil((videoBits + TARGET_AUDIO_KBPS * 1000 * duration) / 8 / (1 - TARGET_MARGIN));
+}
+
+// The best profile, up to `quality`, whose estimate fits in `targetSize` bytes;
+// the quickest one when none does
+function qualityFor(clip, quality, targetSize) {
+  const names = Object.keys(QUALITY_PROFILES);
+  const fitting = names.slice(0, names.indexOf(quality) + 1).filter(name => estimateSize(clip, name) <= targetSize);
+  return fitting.length ? fitting[fitting.length - 1] : names[0];
+}
+
+// Video and audio bitrates in kbit/s that keep a `duration` long render
+// under `targetSize` bytes. Targets too small for the clip get MIN_VIDEO_KBPS.
+function targetBitrates(targetSize, duration, audio) {
+  const totalKbps = targetSize * 8 * (1 - TARGET_MARGIN) / duration / 1000;
+  const audioKbps = audio ? TARGET_AUDIO_KBPS : 0;
+  return { video: Math.max(MIN_VIDEO_KBPS, Math.floor(totalKbps - audioKbps)), audio: audioKbps };
+}
+
+// --------- Output formats ---------
+// ffmpeg output options of each format, which is written with `muxer` whatever
+// the output's extension. `args` gets the QUALITY_PROFILES entry as `profile`,
+// and with `bitrates` (see targetBitrates()), caps the bitrate where
+// `targetSize` says the format can. `alpha` is whether an overlay-only render
+// keeps its transparency; without it, the overlay is on black.
+// Formats without `audio` are silent. GIFs are made from a lossless
+// intermediate file in two passes (see encodeGif()), and PNG sequences are
+// written into a directory as 00001.png, 00002.png...
+export const OUTPUT_FORMATS = {
+  // x264 keeps to the quality of `crf` unless that goes over the cap
+  mp4: {
+    extension: '.mp4', mimeType: 'video/mp4', audio: true, alpha: false, targetSize: true, muxer: 'mp4',
+    args: ({ profile, bitrates }) => ['-pix_fmt', 'yuv420p', '-c:v', 'libx264', '-profile:v', 'high',
+      '-crf', `${profile.crf}`, '-preset', profile.preset,
+      ...(bitrates ? ['-maxrate', `${bitrates.video}k`, '-bufsize', `${bitrates.video}k`, '-b:a', `${bitrates.audio}k`] : []),
+      '-movflags', '+faststart']
+  },
+  // libvpx's constrained quality: `crf` with `-b:v` as the most it may take
+  webm: {
+    extension: '.webm', mimeType: 'video/webm', audio: true, alpha: true, targetSize: true, muxer: 'webm',
+    args: ({ alpha, profile, bitrates }) => ['-pix_fmt', alpha ? 'yuva420p' : 'yuv420p', '-c:v', 'libvpx-vp9',
+      '-crf', `${profile.vp9Crf}`, '-b:v', bitrates ? `${bitrates.video}k` : '0',
+      '-deadline', 'good', '-cpu-used', `${profile.cpuUsed}`, '-row-mt', '1', '-c:a', 'libopus',
+      ...(bitrates ? ['-b:a', `${bitrates.audio}k`] : [])]
+  },
+  prores: {
+    extension: '.mov', mimeType: 'video/quicktime', audio: true, alpha: true, targetSize: false, muxer: 'mov',
+    args: ({ alpha }) => ['-pix_fmt', alpha ? 'yuva444p10le' : 'yuv444p10le', '-c:v', 'prores_ks', '-profile:v', '4444',
+      '-vendor', 'apl0', '-c:a', 'pcm_s16le']
+  },
+  // The muxer and args are for the intermediate file
+  gif: {
+    extension: '.gif', mimeType: 'image/gif', audio: false, alpha: true, targetSize: false, muxer: 'matroska',
+    args: () => ['-pix_fmt', 'bgra', '-c:v', 'ffv1']
+  },
+  png: {
+    extension: '', mimeType: null, audio: false, alpha: true, targetSize: false, muxer: 'image2',
+    args: ({ alpha }) => ['-pix_fmt', alpha ? 'rgba' : 'rgb24', '-c:v', 'png']
+  }
+};
+
+const PNG_FRAME_PATTERN = /^\d{5}\.png$/;
+
+// Deletes the frames of a PNG sequence, but not anything else in its directory
+function removeFrames(dir) {
+  for (const file of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+    if (PNG_FRAME_PATTERN.test(file)) fs.rmSync(path.join(dir, file), { force: true });
+  }
+}
+
+// GIF frame delays are in hundredths of a second, and browsers slow down
+// anything under 2/100 s, so faster renders are played at this rate
+const GIF_MAX_FPS = 25;
+
+// Turns the lossless intermediate file into a GIF with a palette made for it:
+// one pass picks the 256 colors, a second maps the frames onto them and only
+// stores the part of each frame that changed. GIF transparency is all or
+// nothing: only nearly clear pixels are left out and the rest made opaque, or
+// an overlay drawn at its usual opacity would mostly disappear.
+async function encodeGif(intermediate, output, { fps, signal, deadline, timeoutMs }) {
+  const palette = `${output}.palette.png`;
+  const frames = `${fps > GIF_MAX_FPS ? `fps=${GIF_MAX_FPS},` : ''}format=rgba,lutrgb=a='if(lt(val,32),0,255)'`;
+  try {
+    await runFfmpeg(['-y', '-i', intermediate, '-vf', `${frames},palettegen`, palette], { signal, deadline, timeoutMs });
+    await runFfmpeg(['-y', '-i', intermediate, '-i', palette,
+      '-lavfi', `[0:v]${frames}[frames]; [frames][1:v]paletteuse=diff_mode=rectangle`, '-loop', '0', '-f', 'gif', output],
+    { signal, deadline, timeoutMs });
+  } finally {
+    fs.rmSync(palette, { force: true });
+  }
+}
+
+// Runs ffmpeg to the end. Aborting `signal` kills it, and so does reaching
+// `deadline` (a Date.now() time), with a TIMEOUT RenderError for `timeoutMs`.
+function runFfmpeg(args, { signal, deadline, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-v', 'error', ...args], { signal });
+    let stderr = '';
+    ffmpeg.stderr.on('data', d => { stderr = (stderr + d).slice(-2000); });
+    const timer = deadline && setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      reject(new RenderError('TIMEOUT', `Render took longer than ${timeoutMs / 1000}s`));
+    }, Math.max(0, deadline - Date.now()));
+    ffmpeg.on('error', err => {
+      clearTimeout(timer);
+      reject(err.name === 'AbortError'
+        ? abortError(signal)
+        : spawnError('ffmpeg', err));
+    });
+    ffmpeg.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      if (signal?.aborted) return;
+      if (code === 0) resolve();
+      else reject(ffmpegError(code, exitSignal, stderr));
+    });
+  });
+}
+
+// Size of the render for a probed input within `limits`: only the first
+// maxDuration seconds, scaled down to fit maxDimension, at most maxFps.
+// Inputs within the limits keep their size and frame rate.
+export function fitToLimits(meta, { maxDuration, maxDimension, maxFps } = {}) {
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(meta.width, meta.height)) : 1;
+  // Sizes are rounded down to even numbers, which yuv420p needs
+  const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+  return {
+    width: even(meta.width * scale),
+    height: even(meta.height * scale),
+    fps: Math.round(maxFps ? Math.min(meta.fps, maxFps) : meta.fps),
+    duration: maxDuration ? Math.min(meta.duration, maxDuration) : meta.duration
+  };
+}
+
+// Renders the overlay onto `input` and writes the result to `output`.
+// `options` takes `seed` plus the style options from simulation.js.
+// `format` is one of OUTPUT_FORMATS; for 'png', `output` is the directory the
+// frames are written to, which is created if needed.
+// `quality` is one of QUALITY_PROFILES. With `targetSize` (bytes, for formats
+// whose `targetSize` is true), the bitrate is capped so the output stays
+// under it, and a lower profile is used when `quality` isn't expected to fit
+// (see estimateSize()). Targets too small for the clip can still be missed.
+// With `overlayOnly`, the overlay is rendered on its own, transparent where
+// the format keeps alpha, at the input's size, frame rate and length. It needs
+// no input then: `clip` ({ width, height, fps, duration }) gives those
+// instead, and subject tracking and reactive rings go without. Overlay-only
+// renders are silent.
+// `limits` ({ maxDuration, maxDimension, maxFps }, all optional) trims,
+// downscales or drops frames instead of rendering the input as it is.
+// With `stillDuration`, the input is a still image (photo, GIF frame, sticker)
+// that is turned into a clip of that many seconds.
+// With `bubble`, the input is center-cropped to a square of at most
+// BUBBLE_MAX_SIZE, ready to send as a video note, and the overlay is kept
+// inside the circle Telegram shows.
+// With `followSubject`, the rings are centered on the person in the clip
+// (found with a skin-tone detector) and keep a gap around them.
+// With `soundEffects` ({ volume = 0.8, duck = 0.5 }), bounces and broken
+// rings are heard in the output, mixed over the original audio, which is
+// turned down to `duck` while an effect plays.
+// With `hud`, broken rings, combos, the elapsed time and a final score are
+// drawn on top (see hud.js).
+// With `caption` ({ text, position = 'bottom', animation = 'pop' }), the text
+// is drawn over the overlay (see captions.js for the choices).
+// With `watermark` ({ text, image, corner = 'bottom-right', opacity = 0.5 }),
+// the text and/or image file is put in a corner at its own opacity.
+// With `timeline`, the result includes the run's timeline (see simulation.js)
+// with its fps, ready to save as JSON. With `replay`, such a timeline, the
+// overlay is played back from it, at its frame rate, instead of simulated;
+// its seed, options and inputs replace `options`, `followSubject` and the
+// input's audio.
+// onProgress receives { type: 'start', frames, fps, seed, config, quality } once and
+// then { type: 'progress', frame, frames } after every frame.
+// Aborting `signal` stops ffmpeg and rejects with the abort reason; so does
+// running longer than `timeoutMs`, with a TIMEOUT RenderError. Other failures
+// reject with a RenderError too (see RENDER_ERRORS).
+// Resolves with { seed, config, quality, width, height, fps, frames, duration }
+// and `timeline`, `quality` being the profile that was used.
+export async function renderOverlay({
+  input, output, format = 'mp4', quality = 'balanced', targetSize, overlayOnly = false, clip = null, options = {},
+  limits = {}, stillDuration,
+  bubble = false, followSubject = false, soundEffects = null, hud = false, caption = null, watermark = null,
+  timeline = false, replay = null, onProgress = () => {}, signal, timeoutMs
+} = {}) {
+  if (!output) {
+    throw new Error('renderOverlay needs an output path');
+  }
+  if (!input && !(overlayOnly && clip)) {
+    throw new Error('renderOverlay needs an input path, or overlayOnly and a clip');
+  }
+  const outputFormat = OUTPUT_FORMATS[format];
+  if (!outputFormat) {
+    throw new Error(`Unknown output format "${format}". Known formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  if (!QUALITY_PROFILES[quality]) {
+    throw new Error(`Unknown quality "${quality}". Known qualities: ${Object.keys(QUALITY_PROFILES).join(', ')}`);
+  }
+  if (targetSize !== undefined && !outputFormat.targetSize) {
+    throw new Error(`The ${format} format can't be kept to a target size`);
+  }
+  if (targetSize !== undefined && !(targetSize > 0)) {
+    throw new Error('The target size must be a positive number of bytes');
+  }
+  if (!input && !(clip.width > 0 && clip.height > 0 && clip.fps > 0 && clip.duration > 0)) {
+    throw new Error('The clip needs a positive width, height, fps and duration');
+  }
+  if (caption) validateCaption(caption);
+  if (watermark) validateWatermark(watermark);
+  if (replay && !(replay.fps > 0)) {
+    throw new Error('The timeline to replay has no frame rate');
+  }
+  const { seed = randomSeed(), ...styleOptions } = replay ? { seed: replay.seed, ...replay.options } : options;
+  signal?.throwIfAborted();
+
+  // Loaded before anything is written, so a bad image leaves nothing behind
+  let watermarkImage = null;
+  if (watermark?.image) {
+    try {
+      watermarkImage = await loadImage(fs.readFileSync(watermark.image));
+    } catch (err) {
+      throw new RenderError('WATERMARK_FAILED', `Cannot load the watermark image ${watermark.image}: ${err.message}`,
+        { cause: err });
+    }
+  }
+
+  const meta = !input ? { ...clip }
+    : stillDuration ? await probeImage(input, stillDuration) : await probeVideo(input);
+  signal?.throwIfAborted();
+
+  // A bubble is the centered square of the input
+  const side = Math.min(meta.width, meta.height);
+  const fit = bubble
+    ? fitToLimits({ ...meta, width: side, height: side },
+      { ...limits, maxDimension: Math.min(limits.maxDimension || Infinity, BUBBLE_MAX_SIZE) })
+    : fitToLimits(meta, limits);
+  const WIDTH = fit.width;
+  const HEIGHT = fit.height;
+  // A replay keeps the timing of its events
+  const FPS = replay ? replay.fps : fit.fps;
+  const frameCount = Math.ceil(fit.duration * FPS);
+  const clipSize = { width: WIDTH, height: HEIGHT, fps: FPS, duration: fit.duration };
+  const usedQuality = targetSize ? qualityFor(clipSize, quality, targetSize) : quality;
+  const bitrates = targetSize ? targetBitrates(targetSize, fit.duration, outputFormat.audio && !overlayOnly) : null;
+
+  const simulationSettings = {
+    width: WIDTH, height: HEIGHT, seed, options: styleOptions, circular: bubble, record: timeline, replay
+  };
+  let hudLayer = null;
+  const simulation = createSimulation({ ...simulationSettings, onEvent: event => hudLayer?.onEvent(event) });
+  if (hud || caption || watermark) loadFonts();
+  if (hud) {
+    hudLayer = createHud({
+      width: WIDTH, height: HEIGHT, colorScheme: simulation.config.colorScheme,
+      duration: frameCount / FPS, circular: bubble
+    });
+  }
+
+  // Cropping happens before scaling, both here and for the subject analysis
+  const crop = bubble && meta.width !== meta.height ? `crop=${side}:${side},` : '';
+
+  let subjectTrack = null;
+  if (followSubject && input && !replay) {
+    const SAMPLE_FPS = 4;
+    const analysisHeight = Math.max(2, Math.round(ANALYSIS_WIDTH * HEIGHT / WIDTH / 2) * 2);
+    const samples = await sampleFrames(input, {
+      fps: SAMPLE_FPS, width: ANALYSIS_WIDTH, height: analysisHeight, duration: fit.duration,
+      filter: crop, still: Boolean(stillDuration), signal
+    });
+    subjectTrack = trackSubject(samples.map(rgb => detectSubject(rgb, ANALYSIS_WIDTH, analysisHeight)),
+      { sampleFps: SAMPLE_FPS, fps: FPS, frames: frameCount, width: WIDTH, height: HEIGHT });
+  }
+
+  // Reactive rings follow the soundtrack; without one they behave like 'random'
+  let audioFeatures = null;
+  if (simulation.audioReactive && input && !stillDuration && !replay) {
+    const samples = await extractAudio(input, { duration: fit.duration, signal });
+    if (samples) {
+      audioFeatures = computeAudioFeatures(samples, { sampleRate: AUDIO_SAMPLE_RATE, fps: FPS, frames: frameCount });
+    }
+  }
+
+  const frameInputs = (frame) => ({ audio: audioFeatures?.[frame], focus: subjectTrack?.[frame] });
+
+  // The audio has to be ready before ffmpeg starts, so a first run of the
+  // simulation (without drawing, so it's quick) collects the event times.
+  // It is seeded the same and gets the same inputs, so its events match the video.
+  let effectsPath = null;
+  if (soundEffects && outputFormat.audio && !overlayOnly) {
+    const { volume = 0.8, duck = 0.5 } = soundEffects;
+    const events = [];
+    const dryRun = createSimulation({ ...simulationSettings, record: false, onEvent: event => events.push(event) });
+    for (let frame = 0; frame < frameCount; frame++) dryRun.update(1/FPS, frameInputs(frame));
+
+    const EFFECTS_SAMPLE_RATE = 48000;
+    const original = stillDuration ? null : await extractAudio(input, {
+      duration: fit.duration, sampleRate: EFFECTS_SAMPLE_RATE, channels: 2, signal
+    });
+    const effects = synthesizeEffects(events, { sampleRate: EFFECTS_SAMPLE_RATE, duration: fit.duration, seed });
+    effectsPath = `${output}.audio.wav`;
+    writeWav(effectsPath, mixEffects(original, effects, { channels: 2, sampleRate: EFFECTS_SAMPLE_RATE, volume, duck }),
+      { sampleRate: EFFECTS_SAMPLE_RATE, channels: 2 });
+  }
+
+  // The watermark doesn't change, so ffmpeg puts it on from a single image,
+  // or for an overlay-only render, it's copied onto every frame
+  let watermarkCanvas = null;
+  let watermarkPath = null;
+  let watermarkInsets = { top: 0, bottom: 0 };
+  if (watermark) {
+    watermarkCanvas = createCanvas(WIDTH, HEIGHT);
+    watermarkInsets = drawWatermark(watermarkCanvas.getContext('2d'), {
+      width: WIDTH, height: HEIGHT, text: watermark.text, image: watermarkImage, corner: watermark.corner, circular: bubble
+    });
+    if (!overlayOnly) {
+      watermarkPath = `${output}.watermark.png`;
+      fs.writeFileSync(watermarkPath, watermarkCanvas.toBuffer('image/png'));
+    }
+  }
+
+  // The caption keeps clear of the HUD and the watermark
+  const hudInsets = hudLayer?.insets ?? { top: 0, bottom: 0 };
+  const captionLayer = caption && createCaption({
+    width: WIDTH, height: HEIGHT, circular: bubble, ...caption,
+    insets: {
+      top: Math.max(hudInsets.top, watermarkInsets.top),
+      bottom: Math.max(hudInsets.bottom, watermarkInsets.bottom)
+    }
+  });
+
+  // Create canvas
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.antialias = 'subpixel';
+
+  // Text stays fully opaque: with the HUD or a caption, the simulation is
+  // drawn on a layer of its own that gets the overlay opacity here, not in
+  // ffmpeg. Overlay-only frames are put together here in full, since there is
+  // nothing for ffmpeg to put them on.
+  const textLayers = Boolean(hudLayer || captionLayer || overlayOnly);
+  const simulationCanvas = textLayers ? createCanvas(WIDTH, HEIGHT) : canvas;
+  const simulationCtx = simulationCanvas.getContext('2d');
+  simulationCtx.antialias = 'subpixel';
+  const ffmpegOpacity = textLayers ? 1 : simulation.config.overlayOpacity;
+
+  onProgress({ type: 'start', frames: frameCount, fps: FPS, seed, config: simulation.config, quality: usedQuality });
+
+  // GIFs are encoded from a lossless file once every frame is drawn, and PNG
+  // frames go into the output directory
+  const intermediate = format === 'gif' ? `${output}.frames.mkv` : null;
+  const target = intermediate ?? (format === 'png' ? path.join(output, '%05d.png') : output);
+  if (format === 'png') fs.mkdirSync(output, { recursive: true });
+  // The drawn frames come in through a pipe
+  const frames = ['-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${WIDTH}x${HEIGHT}`, '-r', `${FPS}`, '-i', '-'];
+  // Encoding the GIF afterwards counts towards timeoutMs too
+  const deadline = timeoutMs && Date.now() + timeoutMs;
+
+  await new Promise((resolve, reject) => {
+    const encoding = [...(outputFormat.audio ? [] : ['-an']), ...outputFormat.args({ alpha: overlayOnly, profile: QUALITY_PROFILES[usedQuality], bitrates }),
+      '-f', outputFormat.muxer, target];
+    let ffmpegArgs;
+    if (overlayOnly) {
+      ffmpegArgs = ['-y', ...frames, ...encoding];
+    } else {
+      // Prepare ffmpeg process: accept raw frames via pipe, overlay onto input video
+      // Only inputs over the limits (or replays at another frame rate) get the
+      // extra trim and frame rate steps.
+      // A still image is repeated at the output frame rate instead.
+      const trim = fit.duration < meta.duration ? ['-t', `${fit.duration}`] : [];
+      const source = stillDuration
+        ? ['-loop', '1', '-framerate', `${FPS}`, '-t', `${fit.duration}`, '-i', input]
+        : [...trim, '-i', input];
+      const dropFrames = !stillDuration && FPS !== Math.round(meta.fps) ? `fps=${FPS},` : '';
+      // The mixed soundtrack replaces the input's audio
+      const effectsInput = effectsPath ? ['-i', effectsPath] : [];
+      const watermarkInput = watermarkPath ? ['-i', watermarkPath] : [];
+      const watermarkIndex = effectsPath ? 3 : 2;
+      const watermarkFilter = watermarkPath
+        ? `[marked]; [${watermarkIndex}:v]format=rgba,colorchannelmixer=aa=${watermark.opacity ?? 0.5}[wm]; [marked][wm]overlay=format=auto`
+        : '';
+      const labeled = effectsPath || watermarkPath;
+      const outputMap = labeled ? ['-map', '[vout]', '-map', effectsPath ? '2:a' : '0:a?'] : [];
+      ffmpegArgs = [
+        '-y',
+        ...source,
+        ...frames,
+        ...effectsInput,
+        ...watermarkInput,
+        '-filter_complex', `[0:v]${dropFrames}${crop}scale=${WIDTH}:${HEIGHT},format=rgba[bg]; [1:v]format=rgba,colorchannelmixer=aa=${ffmpegOpacity}[ov]; [bg][ov]overlay=format=auto${watermarkFilter}${labeled ? '[vout]' : ''}`,
+        ...outputMap,
+        ...encoding
+      ];
+    }
+    // The abort listener below only hears later aborts, and the render may
+    // have been cancelled while the sound effects were being made
+    if (signal?.aborted) return reject(abortError(signal));
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+
+    // Keep the tail of the ffmpeg log for error messages
+    let stderrTail = '';
+    ffmpeg.stderr.on('data', d => {
+      stderrTail = (stderrTail + d).slice(-2000);
+    });
+
+    let finished = false;
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) {
+        ffmpeg.kill('SIGKILL');
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+
+    const onAbort = () => finish(abortError(signal));
+    signal?.addEventListener('abort', onAbort);
+    const timer = timeoutMs && setTimeout(() => {
+      finish(new RenderError('TIMEOUT', `Render took longer than ${timeoutMs / 1000}s`));
+    }, deadline - Date.now());
+
+    ffmpeg.on('error', err => finish(spawnError('ffmpeg', err)));
+    // ffmpeg exiting early closes the pipe; the exit status below explains why
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.on('close', (code, exitSignal) => {
+      if (code === 0) finish();
+      else finish(ffmpegError(code, exitSignal, stderrTail));
+    });
+
+    let frame = 0;
+
+    function sendFrame() {
+      if (finished) return;
+      let buf;
+      try {
+        simulation.update(1/FPS, frameInputs(frame));
+        simulation.draw(simulationCtx);
+        if (textLayers) {
+          ctx.clearRect(0, 0, WIDTH, HEIGHT);
+          if (overlayOnly && !outputFormat.alpha) {
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, WIDTH, HEIGHT);
+          }
+          ctx.globalAlpha = simulation.config.overlayOpacity;
+          ctx.drawImage(simulationCanvas, 0, 0);
+          ctx.globalAlpha = 1;
+        }
+        if (hudLayer) {
+          hudLayer.update(1/FPS);
+          hudLayer.draw(ctx);
+        }
+        if (captionLayer) {
+          captionLayer.update(1/FPS);
+          captionLayer.draw(ctx);
+        }
+        if (overlayOnly && watermarkCanvas) {
+          ctx.globalAlpha = watermark.opacity ?? 0.5;
+          ctx.drawImage(watermarkCanvas, 0, 0);
+          ctx.globalAlpha = 1;
+        }
+
+        // Get raw RGBA data using getImageData
+        const imageData = ctx.getImageData(0, 0, WIDTH, HEIGHT);
+        buf = Buffer.from(imageData.data.buffer); // Convert Uint8ClampedArray to Buffer
+      } catch (err) {
+        return finish(OUT_OF_MEMORY_PATTERN.test(err.message)
+          ? new RenderError('OUT_OF_MEMORY', `Drawing frame ${frame} ran out of memory`, { cause: err })
+          : err);
+      }
+
+      // Wait for ffmpeg to catch up when its input buffer is full, so progress
+      // tracks encoding and unencoded frames don't pile up in memory
+      const flushed = ffmpeg.stdin.write(buf);
+      frame++;
+      onProgress({ type: 'progress', frame, frames: frameCount });
+
+      if (frame >= frameCount) ffmpeg.stdin.end();
+      else if (flushed) setImmediate(sendFrame);
+      else ffmpeg.stdin.once('drain', sendFrame);
+    }
+
+    sendFrame();
+  }).then(() => {
+    if (intermediate) return encodeGif(intermediate, output, { fps: FPS, signal, deadline, timeoutMs });
+  }).catch(err => {
+    // Don't leave a truncated file behind
+    if (format === 'png') removeFrames(output);
+    else fs.rmSync(output, { force: true });
+    throw err;
+  }).finally(() => {
+    if (effectsPath) fs.rmSync(effectsPath, { force: true });
+    if (watermarkPath) fs.rmSync(watermarkPath, { force: true });
+    if (intermediate) fs.rmSync(intermediate, { force: true });
+  });
+
+  const recorded = simulation.timeline();
+  return {
+    seed,
+    config: simulation.config,
+    quality: usedQuality,
+    width: WIDTH,
+    height: HEIGHT,
+    fps: FPS,
+    frames: frameCount,
+    duration: fit.duration,
+    ...(recorded && { timeline: { ...recorded, fps: FPS } })
+  };
+}
@@ -0,0 +1,374 @@
+/*
+HTTP rendering API, for using the renderer from other tools without Telegram.
+Start it with `npm run serve`. Every request needs one of the keys in
+API_KEYS as `Authorization: Bearer KEY`, and only sees its own jobs.
+
+  POST   /jobs?colorScheme=neon&bubble=true   body: the video; queues a render
+  GET    /jobs/:id                            state and progress of a job
+  GET    /jobs/:id/output                     the rendered file once it is done
+  DELETE /jobs/:id                            cancels a job or deletes its output
+
+Renders take the bot's path (see videoProcessing.js), with the same queue,
+input limits and render settings; each API key queues as one user.
+*/
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  RenderError, NUMERIC_OPTIONS, MAX_SEED, OUTPUT_FORMATS, QUALITY_PROFILES, randomSeed, validateOptions
+} from './renderOverlay.js';
+import { QueueFullError } from './jobQueue.js';
+import { checkUpload, InputLimitError } from './inputLimits.js';
+import {
+  renderQueue, inputLimits, processFile, cleanCaption, SOUND_EFFECTS, RENDER_ERROR_MESSAGES, QUALITY
+} from './videoProcessing.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const API_KEYS = (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+// Finished jobs and their outputs are deleted this long after they finish
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+// Images are rendered into a clip like the bot's photos; ffmpeg needs the extension
+const STILL_TYPES = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+// Output formats that make a single file to download (PNG sequences don't)
+const FILE_FORMATS = Object.keys(OUTPUT_FORMATS).filter(name => OUTPUT_FORMATS[name].mimeType);
+
+if (!API_KEYS.length) {
+  console.error('Set API_KEYS to one or more comma-separated keys to start the server');
+  process.exit(1);
+}
+
+// A request that can't be served, with the status to answer it with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Jobs by ID: { id, key, state, position, progress, attempt, seed, options,
+// format, result, error, controller, input, output, expiry }
+const jobs = new Map();
+
+// ---------------- Requests -----------------
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Index of the request's API key, compared in constant time, or -1
+function apiKeyIndex(req) {
+  const given = Buffer.from(/^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1] || '');
+  return API_KEYS.findIndex(key => {
+    const expected = Buffer.from(key);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// Reads the render settings from the query string: the style options by their
+// preset names, plus `seed`, `bubble`, `caption`, `format`, `overlayOnly`,
+// `quality` and `targetSize` (in bytes)
+function parseRenderRequest(params) {
+  const options = {};
+  let seed = randomSeed();
+  let bubble = false;
+  let caption = '';
+  let format = 'mp4';
+  let overlayOnly = false;
+  let quality = QUALITY;
+  let targetSize;
+  for (const [key, value] of params) {
+    if (key === 'seed') {
+      seed = Number(value);
+      if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        throw new HttpError(400, `"seed" must be an integer from 0 to ${MAX_SEED}`);
+      }
+    } else if (key === 'bubble') {
+      bubble = value === '' || value === 'true' || value === '1';
+    } else if (key === 'overlayOnly') {
+      overlayOnly = value === '' || value === 'true' || value === '1';
+    } else if (key === 'format') {
+      if (!FILE_FORMATS.includes(value)) {
+        throw new HttpError(400, `"format" must be one of: ${FILE_FORMATS.join(', ')}`);
+      }
+      format = value;
+    } else if (key === 'quality') {
+      if (!QUALITY_PROFILES[value]) {
+        throw new HttpError(400, `"quality" must be one of: ${Object.keys(QUALITY_PROFILES).join(', ')}`);
+      }
+      quality = value;
+    } else if (key === 'targetSize') {
+      targetSize = Number(value);
+      if (!Number.isInteger(targetSize) || targetSize <= 0) {
+        throw new HttpError(400, '"targetSize" must be a positive number of bytes');
+      }
+    } else if (key === 'caption') {
+      caption = cleanCaption(value);
+    } else {
+      options[key] = NUMERIC_OPTIONS[key] && value !== '' ? Number(value) : value;
+    }
+  }
+  if (targetSize && !OUTPUT_FORMATS[format].targetSize) {
+    throw new HttpError(400, `"targetSize" doesn't work with the ${format} format`);
+  }
+  try {
+    validateOptions(options);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  return { seed, options, bubble, caption, format, overlayOnly, quality, targetSize };
+}
+
+// Writes the request body to `file`, stopping at the file size limit.
+// Resolves with its size.
+function saveUpload(req, file) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(file);
+    let size = 0;
+    const fail = (err) => {
+      req.removeAllListeners('data');
+      req.pause();
+      out.destroy();
+      reject(err);
+    };
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      try {
+        checkUpload({ fileSize: size }, inputLimits);
+      } catch (err) {
+        return fail(err);
+      }
+      if (!out.write(chunk)) {
+        req.pause();
+        out.once('drain', () => req.resume());
+      }
+    });
+    req.on('end', () => out.end());
+    // A client that goes away mid-upload sends no 'end', and maybe no 'error' either
+    const interrupted = () => fail(new HttpError(400, 'The upload was interrupted'));
+    req.on('error', interrupted);
+    req.on('close', () => {
+      if (!req.complete) interrupted();
+    });
+    out.on('error', fail);
+    out.on('finish', () => resolve(size));
+  });
+}
+
+// What clients see of a job
+function describeJob(job) {
+  return {
+    id: job.id,
+    state: job.state, // queued | running | done | failed | cancelled
+    ...(job.state === 'queued' && job.position && { position: job.position }),
+    ...(job.state === 'running' && { progress: job.progress, attempt: job.attempt }),
+    seed: job.seed,
+    options: job.options,
+    format: job.format,
+    ...(job.result && { result: job.result, output: `/jobs/${job.id}/output` }),
+    ...(job.error && { error: job.error })
+  };
+}
+
+function removeFiles(job, { keepOutput = false } = {}) {
+  for (const file of keepOutput ? [job.input] : [job.input, job.output]) {
+    try {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch (err) {
+      console.error('Error cleaning up files:', err);
+    }
+  }
+}
+
+// Stops the job if it is still going and forgets it with its files
+function removeJob(job) {
+  job.controller.abort();
+  clearTimeout(job.expiry);
+  jobs.delete(job.id);
+  removeFiles(job);
+}
+// -------------------------------------------
+
+// ---------------- Jobs -----------------
+// The error a failed job reports, like the bot's replies
+function jobError(err) {
+  if (err instanceof RenderError) {
+    return { code: err.code, message: RENDER_ERROR_MESSAGES[err.code] || 'Error processing your video.' };
+  }
+  if (err instanceof InputLimitError) {
+    return { code: 'INPUT_LIMIT', limit: err.limit, message: err.message };
+  }
+  if (err instanceof QueueFullError) {
+    return { code: 'QUEUE_FULL', message: err.message };
+  }
+  console.error('Error handling video:', err);
+  return { code: 'INTERNAL', message: 'Something went wrong while processing your video.' };
+}
+
+// Queues the render of an uploaded file; the job is updated as it goes
+function startJob(job, { still, bubble, caption, overlayOnly, quality, targetSize }) {
+  const { signal } = job.controller;
+  const renderOptions = { seed: job.seed, ...job.options };
+  console.log(`Rendering API job ${job.id} for key #${job.key + 1} with ${JSON.stringify(renderOptions)}`);
+
+  renderQueue.add(`api:${job.key}`, async () => {
+    signal.throwIfAborted();
+    const onProgress = ({ frame, frames }) => {
+      job.progress = { frame, frames };
+    };
+    const onRetry = (attempt) => {
+      job.attempt = attempt;
+    };
+    const { seed, config, quality: usedQuality, width, height, fps, frames, duration } = await processFile(job.input, job.output,
+      renderOptions, { still, format: job.format, quality, targetSize, overlayOnly, bubble, soundEffects: SOUND_EFFECTS, caption,
+        onProgress, onRetry, signal });
+    return { seed, config, quality: usedQuality, width, height, fps, frames, duration };
+  }, (update) => {
+    if (job.state !== 'queued' && job.state !== 'running') return;
+    job.state = update.state;
+    job.position = update.position;
+  }, signal).then((result) => {
+    job.state = 'done';
+    job.result = result;
+  }, (err) => {
+    if (signal.aborted) {
+      console.log(`Cancelled API job ${job.id}`);
+      job.state = 'cancelled';
+      return;
+    }
+    job.state = 'failed';
+    job.error = jobError(err);
+  }).finally(() => {
+    // Only a finished output is worth keeping, and only for a while
+    removeFiles(job, { keepOutput: job.state === 'done' });
+    if (jobs.has(job.id)) {
+      job.expiry = setTimeout(() => removeJob(job), JOB_TTL_MS);
+      job.expiry.unref();
+    }
+  });
+}
+// -------------------------------------------
+
+// ---------------- Routes -----------------
+async function createJob(req, res, key, params) {
+  const { seed, options, bubble, caption, format, overlayOnly, quality, targetSize } = parseRenderRequest(params);
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type.startsWith('image/') && type !== 'image/gif' && !STILL_TYPES[type]) {
+    throw new HttpError(415, `Images must be one of: ${Object.keys(STILL_TYPES).join(', ')}`);
+  }
+  const still = Boolean(STILL_TYPES[type]);
+  // Turn away what can't be taken before reading the whole body
+  try {
+    checkUpload({ fileSize: Number(req.headers['content-length']) || 0 }, inputLimits);
+    renderQueue.checkRoom(`api:${key}`);
+  } catch (err) {
+    if (err instanceof InputLimitError) throw new HttpError(413, err.message);
+    if (err instanceof QueueFullError) throw new HttpError(err.reason === 'user' ? 429 : 503, err.message);
+    throw err;
+  }
+
+  const id = crypto.randomUUID();
+  fs.mkdirSync('temp', { recursive: true });
+  const job = {
+    id,
+    key,
+    state: 'queued',
+    position: null,
+    progress: null,
+    attempt: 1,
+    seed,
+    options,
+    format,
+    result: null,
+    error: null,
+    controller: new AbortController(),
+    input: path.join('temp', `input_api_${id}${STILL_TYPES[type] || '.mp4'}`),
+    output: path.join('temp', `output_api_${id}${OUTPUT_FORMATS[format].extension}`),
+    expiry: null
+  };
+  try {
+    if (!(await saveUpload(req, job.input))) throw new HttpError(400, 'The request body must be the video to render');
+  } catch (err) {
+    removeFiles(job);
+    if (err instanceof InputLimitError) throw new HttpError(413, err.message);
+    throw err;
+  }
+
+  jobs.set(id, job);
+  startJob(job, { still, bubble, caption, overlayOnly, quality, targetSize });
+  sendJson(res, 202, describeJob(job), { Location: `/jobs/${id}` });
+}
+
+function sendOutput(res, job) {
+  if (job.state !== 'done') {
+    throw new HttpError(409, `There is no output: the job is ${job.state}`);
+  }
+  res.writeHead(200, {
+    'Content-Type': OUTPUT_FORMATS[job.format].mimeType,
+    'Content-Length': fs.statSync(job.output).size,
+    'Content-Disposition': `attachment; filename="brainrot${OUTPUT_FORMATS[job.format].extension}"`
+  });
+  fs.createReadStream(job.output).pipe(res);
+}
+
+function deleteJob(res, job) {
+  if (job.state === 'queued' || job.state === 'running') {
+    job.controller.abort();
+    job.state = 'cancelled';
+    return sendJson(res, 200, describeJob(job));
+  }
+  removeJob(job);
+  res.writeHead(204);
+  res.end();
+}
+
+async function handleRequest(req, res) {
+  const key = apiKeyIndex(req);
+  if (key === -1) {
+    throw new HttpError(401, 'A valid API key is needed: Authorization: Bearer KEY');
+  }
+  const url = new URL(req.url, 'http://localhost');
+  const match = /^\/jobs(?:\/([\w-]+)(\/output)?)?\/?$/.exec(url.pathname);
+  if (!match) throw new HttpError(404, 'Not found');
+  const [, id, output] = match;
+
+  if (!id) {
+    if (req.method !== 'POST') throw new HttpError(405, 'Use POST to create a job');
+    return createJob(req, res, key, url.searchParams);
+  }
+  // Other keys' jobs don't exist as far as this key is concerned
+  const job = jobs.get(id);
+  if (!job || job.key !== key) throw new HttpError(404, 'No such job');
+  if (output) {
+    if (req.method !== 'GET') throw new HttpError(405, 'Use GET to download the output');
+    return sendOutput(res, job);
+  }
+  if (req.method === 'GET') return sendJson(res, 200, describeJob(job));
+  if (req.method === 'DELETE') return deleteJob(res, job);
+  throw new HttpError(405, 'Use GET or DELETE on a job');
+}
+// -------------------------------------------
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((err) => {
+    if (!(err instanceof HttpError)) console.error('Error handling request:', err);
+    if (res.headersSent) return res.destroy();
+    // The rest of a refused upload isn't read, so the connection can't be reused
+    sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' },
+      req.complete ? {} : { Connection: 'close' });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Rendering API listening on port ${PORT}`);
+});
+
+// Stop taking requests and drop running renders and every job's files
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    server.close();
+    jobs.forEach(removeJob);
+  });
+}
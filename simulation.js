@@ -0,0 +1,1440 @@
+/*
+Brainrot overlay simulation: spinning rings with holes, bouncing balls and
+ring destruction effects. Only physics and canvas drawing live here, with no
+Node.js dependencies, so each render gets its own independent simulation and
+the style editor in index.html runs the same code in the browser.
+*/
+
+export const MAX_SEED = 4294967295;
+
+// Mulberry32: small, fast and good enough for visuals. All randomness in the
+// simulation must go through it so renders are reproducible: random()/rand()
+// for the physics, effectRandom()/effectRand() for particles and ball colors.
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mixed into the seed for the effects' own stream
+const EFFECTS_SEED = 0x9E3779B9;
+
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+// --------- Visual Configuration Options ---------
+// Different color schemes, each with its HUD theme (see hud.js)
+export const GRADIENT_SCHEMES = [
+  {
+    name: 'rainbow',
+    getRingColor: (i, total) => `hsla(${i * 360 / total}, 75%, 65%, 0.5)`, // More transparent
+    getBallColor: () => '#ff6666',
+    hud: { font: '"DejaVu Sans", sans-serif', color: '#ffffff', accent: '#ff6666', corner: 'top-left' }
+  },
+  {
+    name: 'cool',
+    getRingColor: (i, total) => `hsla(${180 + i * 60 / total}, 70%, 60%, 0.5)`, // More transparent
+    getBallColor: () => '#66ffff',
+    hud: { font: '"DejaVu Sans Mono", monospace', color: '#e6ffff', accent: '#66ffff', corner: 'top-right' }
+  },
+  {
+    name: 'warm',
+    getRingColor: (i, total) => `hsla(${i * 60 / total}, 80%, 65%, 0.5)`, // More transparent
+    getBallColor: () => '#ffcc00',
+    hud: { font: '"DejaVu Serif", serif', color: '#fff3d6', accent: '#ffcc00', corner: 'bottom-left' }
+  },
+  {
+    name: 'neon',
+    getRingColor: (i, total) => {
+      const hues = [320, 260, 180, 120, 40]; // Purple, blue, cyan, green, yellow
+      const hue = hues[i % hues.length];
+      return `hsla(${hue}, 100%, 65%, 0.5)`; // More transparent
+    },
+    getBallColor: () => '#ff00ff',
+    hud: { font: '"DejaVu Sans Mono", monospace', color: '#ffffff', accent: '#ff00ff', corner: 'top-left' }
+  }
+];
+
+// Different ring configurations
+export const RING_CONFIGURATIONS = [
+  {
+    name: 'random',
+    setupRings: (rings, sim) => {
+      rings.forEach(r => {
+        r.angle = sim.rand(0, Math.PI*2);
+        r.speed = (sim.random() > 0.5 ? 1 : -1) * sim.rand(0.3, 0.8);
+      });
+    }
+  },
+  {
+    name: 'aligned',
+    setupRings: (rings, sim) => {
+      // All holes aligned initially at same angle
+      const baseAngle = sim.rand(0, Math.PI*2);
+      rings.forEach((r, i) => {
+        r.angle = baseAngle;
+        // Speed inversely proportional to radius
+        const speedFactor = 1 - (i / sim.ringCount) * 0.8; // Outer rings are slower
+        r.speed = (i % 2 === 0 ? 1 : -1) * sim.rand(0.2, 0.5) * speedFactor;
+      });
+    }
+  },
+  {
+    name: 'alternating',
+    setupRings: (rings, sim) => {
+      const baseAngle = sim.rand(0, Math.PI*2);
+      rings.forEach((r, i) => {
+        // Alternate between 0 and PI to create a checkerboard pattern of holes
+        r.angle = baseAngle + (i % 2 === 0 ? 0 : Math.PI);
+        r.speed = (i % 2 === 0 ? 1 : -1) * sim.rand(0.4, 0.7);
+      });
+    }
+  },
+  {
+    // Laid out like 'random', then driven by the clip's soundtrack: bass spins
+    // the rings faster, loudness makes them pulse, onsets kick the ball and
+    // beats set off extra destruction effects. Opt-in only, so it is never
+    // picked at random.
+    name: 'reactive',
+    optIn: true,
+    audioReactive: true,
+    setupRings: (rings, sim) => RING_CONFIGURATIONS[0].setupRings(rings, sim)
+  }
+];
+
+// Different ball effects
+export const BALL_EFFECTS = [
+  {
+    name: 'solid',
+    initBall: (ball, sim) => {
+      ball.colorStyle = 'solid';
+      ball.color = sim.config.colorScheme.getBallColor();
+    },
+    updateBallColor: (ball, dt) => {
+      // No change for solid color
+    },
+    drawBall: (ctx, ball) => {
+      // Make the ball slightly transparent
+      ctx.fillStyle = ball.color.startsWith('hsl') 
+        ? ball.color.replace(')', ', 0.7)').replace('hsl', 'hsla')
+        : ball.color.startsWith('rgb') 
+          ? ball.color.replace(')', ', 0.7)').replace('rgb', 'rgba')
+          : ball.color + 'B3'; // Hex with opacity (~0.7)
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI*2);
+      ctx.fill();
+    }
+  },
+  {
+    name: 'cycling',
+    initBall: (ball, sim) => {
+      ball.colorStyle = 'cycling';
+      ball.hue = sim.effectRandom() * 360;
+      ball.hueSpeed = sim.effectRand(30, 120); // Degrees per second
+    },
+    updateBallColor: (ball, dt) => {
+      ball.hue = (ball.hue + ball.hueSpeed * dt) % 360;
+      ball.color = `hsl(${ball.hue}, 80%, 60%)`;
+    },
+    drawBall: (ctx, ball) => {
+      ctx.fillStyle = ball.color;
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI*2);
+      ctx.fill();
+    }
+  },
+  {
+    name: 'glowing',
+    initBall: (ball, sim) => {
+      ball.colorStyle = 'glowing';
+      ball.hue = sim.effectRandom() * 360;
+      ball.brightness = 60;
+      ball.brightnessDelta = sim.effectRand(20, 40);
+      ball.brightnessFactor = 1;
+    },
+    updateBallColor: (ball, dt) => {
+      ball.brightnessFactor = (ball.brightnessFactor > 0) ? 
+                              ball.brightnessFactor - dt * 1.5 : 
+                              ball.brightnessFactor - dt * 1.5;
+      if (ball.brightnessFactor < -1) ball.brightnessFactor = 1;
+      
+      const brightnessValue = ball.brightness + ball.brightnessDelta * Math.abs(ball.brightnessFactor);
+      ball.color = `hsl(${ball.hue}, 90%, ${brightnessValue}%)`;
+    },
+    drawBall: (ctx, ball) => {
+      // Glow effect
+      const gradient = ctx.createRadialGradient(
+        ball.x, ball.y, 0,
+        ball.x, ball.y, ball.radius * 2.5
+      );
+      gradient.addColorStop(0, ball.color);
+      gradient.addColorStop(0.4, `hsla(${ball.hue}, 90%, 60%, 0.2)`); // More subtle glow
+      gradient.addColorStop(1, `hsla(${ball.hue}, 90%, 60%, 0)`);
+      
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, ball.radius * 2.5, 0, Math.PI*2);
+      ctx.fill();
+      
+      // Main ball
+      ctx.fillStyle = ball.color.replace(')', ', 0.7)').replace('hsl', 'hsla');
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI*2);
+      ctx.fill();
+    }
+  }
+];
+
+// Different destruction effects
+export const DESTRUCTION_EFFECTS = [
+  {
+    name: 'sparkles',
+    createEffect: (x, y, ring, sim) => {
+      sim.spawnSparkles(x, y, ring.color);
+    }
+  },
+  {
+    name: 'explosion',
+    createEffect: (x, y, ring, sim) => {
+      sim.spawnExplosion(x, y, ring.color);
+    }
+  },
+  {
+    name: 'shockwave',
+    createEffect: (x, y, ring, sim) => {
+      sim.spawnShockwave(x, y, ring.color);
+    }
+  },
+  {
+    name: 'combined',
+    createEffect: (x, y, ring, sim) => {
+      sim.spawnSparkles(x, y, ring.color);
+      sim.spawnShockwave(x, y, ring.color);
+      if (sim.effectRandom() < 0.3) { // occasionally add explosion too
+        sim.spawnExplosion(x, y, ring.color);
+      }
+    }
+  }
+];
+
+// Shapes of the rings. Every ring has `holes`, a list of { at, size } gaps in
+// radians, measured from its rotation angle, in increasing order; arenas without holes() have one
+// gap of the holeArc option at 0. Arenas with radiusAt(ring, phi) aren't round:
+// it is the ring's distance from the center at angle phi from its rotation
+// (any number of radians), and slopeAt() its derivative. ring.radius stays the
+// farthest point, so rings of any shape nest, shrink and leave the same way.
+// corners(ring), if any, lists the angles where the outline has a corner.
+const TAU = Math.PI * 2;
+const SPIRAL_DROP = 0.08; // a spiral ring ends this fraction of its radius further in than it starts
+
+function polygonArena(name, sides) {
+  const sector = TAU / sides;
+  // Angle from the middle of the nearest side, so a side's middle is at 0
+  const local = (phi) => ((phi + sector/2) % sector + sector) % sector - sector/2;
+  return {
+    name,
+    radiusAt: (ring, phi) => ring.radius * Math.cos(sector/2) / Math.cos(local(phi)),
+    slopeAt: (ring, phi) => {
+      const a = local(phi);
+      return ring.radius * Math.cos(sector/2) * Math.sin(a) / Math.cos(a)**2;
+    },
+    corners: () => Array.from({ length: sides }, (_, i) => sector/2 + i*sector)
+  };
+}
+
+export const ARENAS = [
+  { name: 'circles' },
+  polygonArena('triangles', 3),
+  polygonArena('squares', 4),
+  polygonArena('hexagons', 6),
+  {
+    // One turn of a spiral each, with the step between its ends inside the hole
+    name: 'spirals',
+    radiusAt: (ring, phi) => ring.radius * (1 - SPIRAL_DROP * ((phi % TAU + TAU) % TAU) / TAU),
+    slopeAt: (ring) => -ring.radius * SPIRAL_DROP / TAU
+  },
+  {
+    // Circles with 2-4 holes of different sizes, spread around
+    name: 'multihole',
+    holes: (sim) => {
+      const count = 2 + Math.floor(sim.random() * 3);
+      const sector = TAU / count;
+      return Array.from({ length: count }, (_, i) => ({
+        at: i*sector + sim.rand(-0.2, 0.2)*sector,
+        size: Math.min(sim.holeArc * sim.rand(0.4, 1.2), sector * 0.6)
+      }));
+    }
+  }
+];
+
+// --------- Options ---------
+// Choices marked optIn are only used when asked for by name, and options
+// with a fallback use it instead of a random choice.
+// Style names that can be chosen, and the numeric constants that can be
+// overridden. Sizes and speeds are fractions of the shorter video side so the
+// same options look the same on any resolution.
+export const STYLE_OPTIONS = {
+  colorScheme: { label: 'color scheme', choices: GRADIENT_SCHEMES },
+  rings: { label: 'ring configuration', choices: RING_CONFIGURATIONS },
+  ball: { label: 'ball effect', choices: BALL_EFFECTS },
+  destruction: { label: 'destruction effect', choices: DESTRUCTION_EFFECTS },
+  arena: { label: 'arena', choices: ARENAS, fallback: 'circles' }
+};
+export const NUMERIC_OPTIONS = {
+  ringCount: { min: 1, max: 200, integer: true }, // RING_COUNT
+  holeArc: { min: 0, max: Math.PI * 2 },          // HOLE_ARC, radians
+  ballSpeed: { min: 0.01, max: 5 },               // BALL_SPEED, shorter sides per second
+  ringShrinkRate: { min: 0, max: 1 },             // RING_SHRINK_RATE, shorter sides per second
+  overlayOpacity: { min: 0, max: 1 },             // opacity of the whole overlay
+  ballCount: { min: 1, max: 20, integer: true },  // balls at the start
+  maxBalls: { min: 1, max: 50, integer: true },   // broken rings launch new balls up to this many
+  gravity: { min: -5, max: 5 },                   // GRAVITY, shorter sides per second², downwards
+  obstacles: { min: 0, max: 1 }                   // chance that a ring comes with an obstacle
+};
+
+// Throws a descriptive error for unknown keys, unknown style names and
+// out-of-range numbers. Undefined values mean "use the default".
+export function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options must be an object');
+  }
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (STYLE_OPTIONS[key]) {
+      const { label, choices } = STYLE_OPTIONS[key];
+      if (!choices.some(o => o.name === value)) {
+        throw new Error(`Unknown ${label} "${value}". Available: ${choices.map(o => o.name).join(', ')}`);
+      }
+    } else if (NUMERIC_OPTIONS[key]) {
+      const { min, max, integer } = NUMERIC_OPTIONS[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max ||
+          (integer && !Number.isInteger(value))) {
+        throw new Error(`"${key}" must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+      }
+    } else {
+      throw new Error(`Unknown option "${key}". ` +
+        `Known options: ${[...Object.keys(STYLE_OPTIONS), ...Object.keys(NUMERIC_OPTIONS)].join(', ')}`);
+    }
+  }
+}
+
+// ------------------ Timelines ------------------
+// A timeline is the record of one run: its seed and options, the per-frame
+// inputs it got and every event, in pixels of a width x height overlay.
+// Events are { type, frame, step, time, ... }, `step` being the physics step
+// (1/120 s long, counted from 0) during or before which it happened:
+// Ball events have the ball's index (balls are numbered in the order they came,
+// and renumbered when one is lost) and its x, y, vx, vy, speed after the event:
+//   bounce / break: also ring (index); bounces have intensity (0..1, ball
+//     speed) and `obstacle: true` when it was the ring's obstacle that was
+//     hit, breaks intensity 1
+//   collide: the ball hit ball `other`, with intensity like a bounce
+//   push: the ball overlapped ball `other` without heading into it and was
+//     pushed apart from it
+//   reset: the ball left the rings and starts again; the broken rings come
+//     back, except the indices in `broken`, which other balls are out past
+//   lost: the ball left the rings and was removed, being over ballCount
+//   launch: a broken ring launched a new ball with `effect` (ball effect name)
+//   kick: an audio onset sped the ball up
+//   burst: a beat broke ring (index) at x, y
+//   spawn: a new outer ring (index) with radius, angle, spin and color, its
+//     holes in arenas where they vary and its obstacle's angle if it has one
+export const TIMELINE_VERSION = 1;
+
+// Rescales a timeline to a width x height overlay. Positions keep their place
+// relative to the middle; distances and speeds scale with the shorter side.
+export function scaleTimeline(timeline, width, height) {
+  if (timeline?.version !== TIMELINE_VERSION || !Array.isArray(timeline.events)) {
+    throw new Error(`Not an overlay timeline (expected version ${TIMELINE_VERSION})`);
+  }
+  if (timeline.width === width && timeline.height === height) return timeline;
+
+  const k = Math.min(width, height) / Math.min(timeline.width, timeline.height);
+  const scaled = (item) => {
+    if (!item) return item;
+    const copy = { ...item };
+    if ('x' in copy) copy.x = width/2 + (copy.x - timeline.width/2) * k;
+    if ('y' in copy) copy.y = height/2 + (copy.y - timeline.height/2) * k;
+    for (const key of ['vx', 'vy', 'speed', 'radius']) {
+      if (key in copy) copy[key] *= k;
+    }
+    return copy;
+  };
+  return {
+    ...timeline,
+    width,
+    height,
+    focus: timeline.focus?.map(scaled),
+    events: timeline.events.map(scaled)
+  };
+}
+// -----------------------------------------------
+
+// Creates an independent simulation for a width x height overlay.
+// With `circular`, everything stays inside the inscribed circle, the part of a
+// square video that Telegram shows for a video note.
+// onEvent receives every timeline event (see above) as it happens; `time` is
+// in seconds since the start, to the moment of contact for bounces and breaks.
+// With `record`, timeline() returns the run so far as a timeline.
+// With `replay`, a timeline (possibly recorded at another size), the run is
+// played back from it instead of simulated, using its seed, options and
+// inputs: the balls follow the recorded events and new rings are the
+// recorded ones. Past the end of the timeline, the simulation takes over.
+// Returns the resolved options (usable as a preset) plus update(dt) and
+// draw(ctx) to advance and render it.
+export function createSimulation({
+  width, height, seed = randomSeed(), options = {}, circular = false, onEvent = () => {},
+  record = false, replay = null
+}) {
+  const script = replay && scaleTimeline(replay, width, height);
+  if (script) ({ seed, options } = script);
+  validateOptions(options);
+  const random = createRandom(seed);
+  // A separate stream for effects, so a replay draws the same particles and
+  // ball colors although it skips the physics' draws
+  const effectRandom = createRandom(seed ^ EFFECTS_SEED);
+  const WIDTH = width;
+  const HEIGHT = height;
+
+  // Numeric options with their defaults filled in
+  const settings = {
+    ringCount: options.ringCount ?? 25,
+    holeArc: options.holeArc ?? Math.PI / 3,
+    ballSpeed: options.ballSpeed ?? 0.5,
+    ringShrinkRate: options.ringShrinkRate ?? 0.008,
+    overlayOpacity: options.overlayOpacity ?? 0.6,
+    ballCount: options.ballCount ?? 1,
+    gravity: options.gravity ?? 0,
+    obstacles: options.obstacles ?? 0
+  };
+  // Never fewer than the balls we start with
+  settings.maxBalls = Math.max(settings.ballCount, options.maxBalls ?? settings.ballCount);
+
+  // Re‑compute animation constants based on size
+  const SHORTER = Math.min(WIDTH, HEIGHT);
+  const RING_COUNT = settings.ringCount;
+  const BASE_RING_RADIUS = SHORTER * 0.35; // Even larger central gap
+  const RING_SPACING = SHORTER * 0.016;
+  const RING_WIDTH = SHORTER * 0.005; // Thinner rings
+  const HOLE_ARC = settings.holeArc;
+  const BALL_RADIUS = SHORTER * 0.008; // Smaller ball
+  const BALL_SPEED = SHORTER * settings.ballSpeed;
+  const PHYSICS_STEP = 1 / 120;          // seconds; the physics runs in steps this long at any frame rate
+  const MAX_HITS_PER_STEP = 4;           // bounces and breaks handled per ball and step
+  const SWEEP_ITERATIONS = 20;           // bisections to find where a ball touches a shaped ring
+  const GRAVITY = SHORTER * settings.gravity;
+  const OBSTACLE_RADIUS = SHORTER * 0.006;
+  const BOUNCE_RANDOMNESS = 0.2;
+  // --- Bounce energy parameters ---
+  const MIN_ENERGY_FACTOR = 0.85;        // Minimum energy factor (slowdown)
+  const MAX_ENERGY_FACTOR = 1.15;        // Maximum energy factor (speedup)
+  const ENERGY_CHANCE_BOOST = 0.6;       // Chance of getting a speed boost
+  const MIN_BALL_SPEED = BALL_SPEED * 0.4;  // Minimum allowed ball speed
+  const MAX_BALL_SPEED = BALL_SPEED * 1.6;  // Maximum allowed ball speed
+  const SPARKLE_COUNT = 18;              // number of particles when a ring is destroyed
+  const SPARKLE_SPEED = SHORTER * 0.35;  // initial speed of sparkles
+  const SPARKLE_LIFE = 0.7;              // seconds
+  const RING_SHRINK_RATE = SHORTER * settings.ringShrinkRate; // pixels per second each ring shrinks (reduced to slow down)
+  const VISIBLE_RADIUS = circular ? SHORTER / 2 : Infinity; // nothing is drawn beyond this
+  const OUTLINE_STEP = 0.05;             // radians between the points of a shaped ring's outline
+  // --- Audio reaction (the 'reactive' ring configuration) ---
+  const AUDIO_SPIN_BOOST = 2;        // ring speed multiplier at full bass, on top of 1
+  const AUDIO_PULSE_WIDTH = 1;       // ring line width multiplier at full loudness, on top of 1
+  const AUDIO_PULSE_DECAY = 4;       // how fast the pulse fades, per second
+  const AUDIO_KICK = 1.25;           // ball speed multiplier on an onset, plus up to 0.25 more for treble
+
+  function isOutsideCircle(x, y) {
+    return Math.hypot(x - WIDTH/2, y - HEIGHT/2) > VISIBLE_RADIUS;
+  }
+
+  // Use the requested option, or pick one at random
+  function chooseOption(key) {
+    const { choices, fallback = null } = STYLE_OPTIONS[key];
+    if (options[key] === undefined && fallback) {
+      return choices.find(o => o.name === fallback);
+    }
+    if (options[key] === undefined) {
+      const pool = choices.filter(o => !o.optIn);
+      return pool[Math.floor(random() * pool.length)];
+    }
+    return choices.find(o => o.name === options[key]);
+  }
+
+  const currentConfig = {
+    colorScheme: chooseOption('colorScheme'),
+    ringConfig: chooseOption('rings'),
+    ballEffect: chooseOption('ball'),
+    destructionEffect: chooseOption('destruction'),
+    arena: chooseOption('arena')
+  };
+
+  // Handed to the style callbacks in the catalogs above
+  const sim = {
+    config: currentConfig,
+    ringCount: RING_COUNT,
+    holeArc: HOLE_ARC,
+    random,
+    rand,
+    effectRandom,
+    effectRand,
+    spawnSparkles,
+    spawnExplosion,
+    spawnShockwave
+  };
+
+  function rand(min, max) { return random()*(max-min)+min; }
+  function effectRand(min, max) { return effectRandom()*(max-min)+min; }
+
+  const rings = [];
+
+  // Gaps for a new ring (see ARENAS)
+  function ringHoles() {
+    return currentConfig.arena.holes ? currentConfig.arena.holes(sim) : [{ at: 0, size: HOLE_ARC }];
+  }
+
+  // Where a ring's outline is at angle theta (seen from the center): its
+  // distance from the center, its outward normal, and `lean`, the cosine
+  // between the two (1 all around a circle). dx, dy and dist may be given
+  // instead of theta, for a point at that angle.
+  function ringEdge(ring, dx, dy, dist) {
+    const { arena } = currentConfig;
+    if (!arena.radiusAt) return { radius: ring.radius, lean: 1, nx: dx/dist, ny: dy/dist };
+    const theta = Math.atan2(dy, dx);
+    const radius = arena.radiusAt(ring, theta - ring.angle);
+    const slope = arena.slopeAt(ring, theta - ring.angle);
+    const length = Math.hypot(radius, slope);
+    const ux = Math.cos(theta), uy = Math.sin(theta);
+    return { radius, lean: radius / length, nx: (radius*ux + slope*uy) / length, ny: (radius*uy - slope*ux) / length };
+  }
+
+  function initializeRings() {
+    rings.length = 0;
+    for (let i=0;i<RING_COUNT;i++) {
+      const baseRadius = BASE_RING_RADIUS + i*RING_SPACING;
+      rings.push({
+        radius: baseRadius, // Use baseRadius directly, no center factor needed
+        width: RING_WIDTH,
+        holes: ringHoles(),
+        angle: 0, // Will be set by configuration
+        speed: 0, // Will be set by configuration
+        color: currentConfig.colorScheme.getRingColor(i, RING_COUNT),
+        visible: true
+      });
+    }
+
+    // Apply the selected ring configuration
+    currentConfig.ringConfig.setupRings(rings, sim);
+    rings.forEach(r => {
+      r.obstacle = ringObstacle();
+      r.prevAngle = r.angle;
+      r.prevRadius = r.radius;
+    });
+  }
+
+  // With the obstacles option, the angle (from the ring's rotation) of the
+  // obstacle a new ring brings along, or null
+  function ringObstacle() {
+    return settings.obstacles > 0 && random() < settings.obstacles ? rand(0, Math.PI*2) : null;
+  }
+
+  // Smoothed loudness for the ring pulse, so rings don't flicker frame to frame
+  let audioPulse = 0;
+  // Ring speed multiplier for this frame
+  let spin = 1;
+  // Where draw() is between the last two physics steps (0..1)
+  let drawAlpha = 1;
+
+  // Seconds and frames (update() calls) simulated so far, for events
+  let time = 0;
+  let frame = 0;
+
+  const recording = record ? { events: [], audio: [], focus: [] } : null;
+
+  // Recorded events by frame, for replays
+  const scriptEvents = new Map();
+  script?.events.forEach(event => {
+    if (!scriptEvents.has(event.frame)) scriptEvents.set(event.frame, []);
+    scriptEvents.get(event.frame).push(event);
+  });
+  // Recorded rings not spawned yet: at another size, a ring may go a step
+  // later than it was recorded, past the end of its frame
+  const recordedRings = [];
+
+  function report(event) {
+    recording?.events.push(event);
+    onEvent(event);
+  }
+
+  // Reports an event of this frame and physics step, at the frame's start
+  // unless fields has a `time`
+  function emit(type, fields) {
+    report({ type, frame, step: steps, time, ...fields });
+  }
+
+  function ballState(ball) {
+    return {
+      ball: balls.indexOf(ball), x: ball.x, y: ball.y, vx: ball.vx, vy: ball.vy, speed: Math.hypot(ball.vx, ball.vy)
+    };
+  }
+
+  // Middle of the ring system, and the radius around it kept free of rings.
+  // They follow the subject when update() is given `focus`.
+  const center = { x: WIDTH/2, y: HEIGHT/2 };
+  let clearRadius = 0;
+
+  // Balls in play. The first one has the chosen ball effect; the others have
+  // their own, unless one was asked for by name.
+  const balls = [createBall()];
+
+  function createBall(effect = currentConfig.ballEffect) {
+    return {
+      x: WIDTH/2, 
+      y: HEIGHT/2, 
+      radius: BALL_RADIUS, 
+      vx: rand(-1,1)*BALL_SPEED, 
+      vy: rand(-1,1)*BALL_SPEED,
+      color: '#ff6666', // Will be set by configuration
+      effect
+    };
+  }
+
+  // Ball effect for a ball after the first
+  function chooseBallEffect() {
+    return options.ball === undefined ? chooseOption('ball') : currentConfig.ballEffect;
+  }
+
+  // Starts the ball again from the middle, in a random direction
+  function serveBall(ball) {
+    ball.x = center.x; ball.y = center.y;
+    ball.prevX = ball.x; ball.prevY = ball.y; // no sliding over from where it was
+    const angle = rand(0,Math.PI*2);
+    ball.vx = Math.cos(angle)*BALL_SPEED;
+    ball.vy = Math.sin(angle)*BALL_SPEED;
+
+    // Initialize ball color according to configuration
+    ball.effect.initBall(ball, sim);
+  }
+
+  // Starts the ball again and brings back the broken rings, except the
+  // indices in `broken`
+  function resetBall(ball, broken = []) {
+    serveBall(ball);
+    rings.forEach((r, i) => {
+      if (!broken.includes(i)) r.visible = true;
+    });
+  }
+
+  // Indices of the broken rings that a ball other than `ball` is out past or
+  // in. They stay broken when `ball` resets: the gap between two bands is
+  // narrower than a ball, so one would be stuck between them.
+  function ringsAroundOthers(ball) {
+    const others = balls.filter(b => b !== ball);
+    const broken = [];
+    rings.forEach((r, i) => {
+      if (r.visible) return;
+      const outside = others.some(b => {
+        const dx = b.x - center.x, dy = b.y - center.y;
+        const dist = Math.hypot(dx, dy);
+        const edge = ringEdge(r, dx, dy, dist);
+        return (edge.radius - dist) * edge.lean <= r.width / 2 + b.radius;
+      });
+      if (outside) broken.push(i);
+    });
+    return broken;
+  }
+
+  function launchBall(effect) {
+    const ball = createBall(effect);
+    serveBall(ball);
+    balls.push(ball);
+    return ball;
+  }
+
+  // ---------------- Sparkles -----------------
+  const sparkles = [];
+  function spawnSparkles(x, y, color = 'rgba(255,220,150,'){
+    for(let i=0;i<SPARKLE_COUNT;i++){
+      const ang = effectRand(0,Math.PI*2);
+      const spd = effectRand(0.4,1)*SPARKLE_SPEED;
+      sparkles.push({
+        x,y,
+        vx: Math.cos(ang)*spd,
+        vy: Math.sin(ang)*spd,
+        life: SPARKLE_LIFE,
+        maxLife: SPARKLE_LIFE,
+        color: color.replace('a(', '').replace(',0.65)', ''),
+        type: 'sparkle'
+      });
+    }
+  }
+  // -------------------------------------------
+
+  // ---------------- Explosion -----------------
+  const explosions = [];
+  function spawnExplosion(x, y, color = 'rgba(255,220,150,'){
+    const baseHue = parseInt(color.match(/hsla\((\d+),/)?.[1] || "30");
+
+    // Add central flash
+    explosions.push({
+      x, y,
+      radius: BALL_RADIUS * 2,
+      maxRadius: SHORTER * 0.04, // Smaller explosion radius
+      life: 0.5,
+      maxLife: 0.5,
+      color: `hsla(${baseHue}, 100%, 80%, 0.7)`, // More transparent flash
+      type: 'flash'
+    });
+
+    // Add debris particles
+    const debrisCount = 5 + Math.floor(effectRandom() * 5); // Fewer debris particles
+    for (let i = 0; i < debrisCount; i++) {
+      const ang = effectRand(0, Math.PI * 2);
+      const spd = effectRand(0.3, 0.7) * SPARKLE_SPEED * 1.5;
+      const size = effectRand(BALL_RADIUS * 0.5, BALL_RADIUS * 1.2);
+      const life = effectRand(0.3, 0.8);
+
+      explosions.push({
+        x, y,
+        vx: Math.cos(ang) * spd,
+        vy: Math.sin(ang) * spd,
+        radius: size,
+        life,
+        maxLife: life,
+        rotation: effectRand(0, Math.PI * 2),
+        rotationSpeed: effectRand(-Math.PI, Math.PI) * 2,
+        color: `hsla(${baseHue + effectRand(-20, 20)}, 90%, 65%, 1)`,
+        shapeType: effectRandom() > 0.5 ? 'square' : 'triangle', // sometimes square, sometimes triangle
+        type: 'debris'
+      });
+    }
+  }
+  // -------------------------------------------
+
+  // ---------------- Shockwave -----------------
+  const shockwaves = [];
+  function spawnShockwave(x, y, color = 'rgba(255,220,150,'){
+    const baseHue = parseInt(color.match(/hsla\((\d+),/)?.[1] || "30");
+    const life = 0.6;
+
+    shockwaves.push({
+      x, y,
+      radius: BALL_RADIUS * 2,
+      maxRadius: SHORTER * 0.1, // Smaller shockwave
+      life,
+      maxLife: life,
+      color: `hsla(${baseHue}, 80%, 70%, 0.6)`, // More transparent shockwave
+      type: 'shockwave'
+    });
+  }
+  // -------------------------------------------
+
+  // Reacts to one frame of audio features (see audioFeatures.js).
+  // A replay only takes the pulse; kicks and bursts are in its events.
+  function reactToAudio(audio, dt, replaying) {
+    audioPulse = Math.max(audio.loudness, audioPulse - AUDIO_PULSE_DECAY * dt);
+    if (replaying) return;
+
+    if (audio.onset) {
+      // Kick the balls, but never past the usual top speed by more than the kick itself
+      for (const ball of balls) {
+        const speed = Math.hypot(ball.vx, ball.vy);
+        const kicked = Math.min(speed * (AUDIO_KICK + audio.high * 0.25), MAX_BALL_SPEED * AUDIO_KICK);
+        if (speed > 0 && kicked > speed) {
+          ball.vx *= kicked / speed;
+          ball.vy *= kicked / speed;
+          emit('kick', ballState(ball));
+        }
+      }
+    }
+
+    if (audio.beat) {
+      // Burst a random point on a random visible ring, inside the picture
+      const visible = rings.filter(r => r.visible && r.radius < VISIBLE_RADIUS);
+      if (visible.length) {
+        const ring = visible[Math.floor(random() * visible.length)];
+        const angle = rand(0, Math.PI*2);
+        const { radius } = ringEdge(ring, Math.cos(angle), Math.sin(angle), 1);
+        const x = center.x + Math.cos(angle) * radius;
+        const y = center.y + Math.sin(angle) * radius;
+        currentConfig.destructionEffect.createEffect(x, y, ring, sim);
+        emit('burst', { ring: rings.indexOf(ring), x, y });
+      }
+    }
+  }
+
+  // Randomly speeds up or slows down a ball that just bounced, within the
+  // speed limits, and turns it a little. Returns its new speed.
+  function applyBounceEnergy(ball) {
+    // Apply dynamic energy change - sometimes speed up, sometimes slow down
+    const energyFactor = rand(MIN_ENERGY_FACTOR, MAX_ENERGY_FACTOR);
+    // Apply energy bias - more likely to speed up if going slow, more likely to slow down if going fast
+    const currentSpeed = Math.hypot(ball.vx, ball.vy);
+    const speedRatio = currentSpeed / MAX_BALL_SPEED; // 0 to 1 ratio of current to max speed
+
+    // Determine if we should boost (more likely for slow balls, less likely for fast ones)
+    const shouldBoost = random() < (ENERGY_CHANCE_BOOST * (1 - speedRatio * 0.8));
+
+    // Apply final energy change: boost or slow down
+    const finalFactor = shouldBoost ? Math.max(1.0, energyFactor) : Math.min(1.0, energyFactor);
+
+    ball.vx *= finalFactor;
+    ball.vy *= finalFactor;
+
+    // Ensure the ball doesn't get too slow or too fast
+    const newSpeed = Math.hypot(ball.vx, ball.vy);
+    if (newSpeed < MIN_BALL_SPEED) {
+      // Scale up to minimum speed
+      const scale = MIN_BALL_SPEED / newSpeed;
+      ball.vx *= scale;
+      ball.vy *= scale;
+    } else if (newSpeed > MAX_BALL_SPEED) {
+      // Scale down to maximum speed
+      const scale = MAX_BALL_SPEED / newSpeed;
+      ball.vx *= scale;
+      ball.vy *= scale;
+    }
+
+    // Calculate current velocity angle and magnitude
+    const curSpeed = Math.hypot(ball.vx, ball.vy);
+    const curAngle = Math.atan2(ball.vy, ball.vx);
+
+    // Add a random angle deviation
+    const randomAngle = curAngle + rand(-BOUNCE_RANDOMNESS, BOUNCE_RANDOMNESS);
+
+    // Set new velocity with same speed but slightly different direction
+    ball.vx = Math.cos(randomAngle) * curSpeed;
+    ball.vy = Math.sin(randomAngle) * curSpeed;
+    return curSpeed;
+  }
+
+  // Whether the ball at dx, dy (from the center), dist away, is over one of
+  // the ring's holes, counting any part of the ball that reaches into it
+  function isOverHole(ring, ball, dx, dy, dist) {
+    // Current angle relative to ring's rotation
+    let rel = Math.atan2(dy,dx) - ring.angle;
+    rel = (rel + Math.PI * 2) % (Math.PI * 2);
+
+    // Calculate the angular width of the ball at this distance (with safety margin)
+    const safetyMargin = 1.1; // Slightly increase the effective ball radius
+    const angularBallRadius = Math.asin(Math.min(0.99, (ball.radius * safetyMargin) / (dist + 1e-6)));
+
+    // The ball is in a hole when it is within the hole's half size
+    // (plus its own angular radius) of the hole's middle, either side
+    return ring.holes.some(hole => {
+      const fromHole = hole.at ? (rel - hole.at + Math.PI * 2) % (Math.PI * 2) : rel;
+      // Define the angles that mark the solid part of the ring
+      const solidPartStartAngle = (hole.size / 2) + angularBallRadius;
+      const solidPartEndAngle = (Math.PI * 2 - hole.size / 2) - angularBallRadius;
+      return fromHole <= solidPartStartAngle || fromHole >= solidPartEndAngle;
+    });
+  }
+
+  // Earliest fraction (0..1) of the move from x, y by mx, my at which the ball
+  // touches the ring's band, or null if it doesn't. A ball that already
+  // touches it and is heading further in gets 0.
+  function sweepRing(ring, ball, x, y, mx, my) {
+    const px = x - center.x, py = y - center.y;
+    const dist = Math.hypot(px, py);
+    const edge = ringEdge(ring, px, py, dist);
+    // How far the ball is from the band (negative: overlapping), along the normal
+    const gapAt = (dist, edge) => Math.abs(dist - edge.radius) * edge.lean - ring.width / 2 - ball.radius;
+    if (gapAt(dist, edge) <= 0) {
+      // Along the band's normal, which isn't radial near a shaped ring's corners
+      const outward = edge.nx*mx + edge.ny*my > 0;
+      return outward === (dist < edge.radius) ? 0 : null;
+    }
+
+    if (!currentConfig.arena.radiusAt) {
+      // Circles: solve |p + m*t| = the band's inner or outer edge
+      const inner = ring.radius - ring.width / 2 - ball.radius;
+      const outer = ring.radius + ring.width / 2 + ball.radius;
+      const target = dist < inner ? inner : outer;
+      const a = mx*mx + my*my, b = 2 * (px*mx + py*my), c = dist*dist - target*target;
+      const disc = b*b - 4*a*c;
+      if (a === 0 || disc < 0) return null;
+      const t = (-b + (dist < inner ? 1 : -1) * Math.sqrt(disc)) / (2*a);
+      return t >= 0 && t <= 1 ? t : null;
+    }
+
+    // Other shapes: walk the move in steps shorter than the ball and narrow
+    // down the first one that ends in the band
+    const gap = (t) => {
+      const qx = px + mx*t, qy = py + my*t;
+      const dist = Math.hypot(qx, qy);
+      return gapAt(dist, ringEdge(ring, qx, qy, dist));
+    };
+    const samples = Math.ceil(Math.hypot(mx, my) / ball.radius);
+    for (let i = 1; i <= samples; i++) {
+      if (gap(i / samples) > 0) continue;
+      let before = (i - 1) / samples, after = i / samples;
+      for (let k = 0; k < SWEEP_ITERATIONS; k++) {
+        const mid = (before + after) / 2;
+        if (gap(mid) > 0) before = mid;
+        else after = mid;
+      }
+      return before;
+    }
+    return null;
+  }
+
+  // Where a ring's obstacle is, if it has one and can be hit: halfway to the
+  // next ring in, turning with it
+  function obstaclePosition(ring) {
+    if (ring.obstacle === null || !ring.visible) return null;
+    const angle = ring.angle + ring.obstacle;
+    const { radius } = ringEdge(ring, Math.cos(angle), Math.sin(angle), 1);
+    const distance = radius - RING_SPACING / 2;
+    return { x: center.x + Math.cos(angle) * distance, y: center.y + Math.sin(angle) * distance };
+  }
+
+  // Earliest fraction (0..1) of the move at which the ball touches the
+  // obstacle at o, like sweepRing()
+  function sweepObstacle(o, ball, x, y, mx, my) {
+    const px = x - o.x, py = y - o.y;
+    const reach = OBSTACLE_RADIUS + ball.radius;
+    const a = mx*mx + my*my, b = 2 * (px*mx + py*my), c = px*px + py*py - reach*reach;
+    if (c <= 0) return b < 0 ? 0 : null;
+    const disc = b*b - 4*a*c;
+    if (a === 0 || disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / (2*a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  // Reflects the ball's velocity off a surface with normal nx, ny (if it is
+  // heading into it) and changes its energy like any bounce. Returns its new speed.
+  function bounceBall(ball, nx, ny) {
+    const dot = ball.vx*nx + ball.vy*ny;
+    if (dot < 0) {
+      // Reflect velocity
+      ball.vx -= 2*dot*nx;
+      ball.vy -= 2*dot*ny;
+    }
+    return applyBounceEnergy(ball);
+  }
+
+  // Moves a ball for one physics step of h seconds from `start` to `end`. The
+  // move is swept: the ball stops where it first touches a ring or an
+  // obstacle, bounces off it or breaks through a hole, and goes on with what
+  // is left of the step.
+  function moveBall(ball, h, start, end) {
+    ball.vy += GRAVITY * h;
+    let left = 1; // fraction of the step still to move
+    for (let hits = 1; ; hits++) {
+      const mx = ball.vx * h * left, my = ball.vy * h * left;
+      let hit = null;
+      let hitAt = Infinity;
+      for (const ring of rings) {
+        if (!ring.visible) continue;
+        const t = sweepRing(ring, ball, ball.x, ball.y, mx, my);
+        if (t !== null && t < hitAt) { hit = { ring }; hitAt = t; }
+        const o = obstaclePosition(ring);
+        const u = o && sweepObstacle(o, ball, ball.x, ball.y, mx, my);
+        if (o && u !== null && u < hitAt) { hit = { ring, obstacle: o }; hitAt = u; }
+      }
+      if (!hit) {
+        ball.x += mx;
+        ball.y += my;
+        return;
+      }
+
+      ball.x += mx * hitAt;
+      ball.y += my * hitAt;
+      left *= 1 - hitAt;
+      const { ring, obstacle } = hit;
+      const eventTime = Math.min(end, start + h * (1 - left));
+      const dx = ball.x - center.x, dy = ball.y - center.y;
+      const dist = Math.hypot(dx, dy);
+
+      if (obstacle) {
+        const ox = ball.x - obstacle.x, oy = ball.y - obstacle.y;
+        const length = Math.hypot(ox, oy) || 1;
+        const speed = bounceBall(ball, ox / length, oy / length);
+        emit('bounce', { time: eventTime, ring: rings.indexOf(ring), obstacle: true, ...ballState(ball),
+          intensity: Math.min(1, speed / MAX_BALL_SPEED) });
+      } else if (isOverHole(ring, ball, dx, dy, dist)) {
+        // Ball is passing through the hole
+        ring.visible = false;
+        currentConfig.destructionEffect.createEffect(ball.x, ball.y, ring, sim); // dynamic destruction effect
+        emit('break', { time: eventTime, ring: rings.indexOf(ring), ...ballState(ball), intensity: 1 });
+        launches++;
+      } else {
+        // The normal points away from the band, to the side the ball is on
+        const edge = ringEdge(ring, dx, dy, dist);
+        const side = dist < edge.radius ? -1 : 1;
+        // A ball already in the band is put back on its surface first
+        const depth = ring.width / 2 + ball.radius - Math.abs(dist - edge.radius) * edge.lean;
+        if (depth > 0) {
+          ball.x += edge.nx * side * depth;
+          ball.y += edge.ny * side * depth;
+        }
+        const speed = bounceBall(ball, edge.nx * side, edge.ny * side);
+        emit('bounce', { time: eventTime, ring: rings.indexOf(ring), ...ballState(ball),
+          intensity: Math.min(1, speed / MAX_BALL_SPEED) });
+      }
+      // A ball wedged between two bands waits for the next step
+      if (hits === MAX_HITS_PER_STEP) return;
+    }
+  }
+
+  // Bounces touching balls off each other: an elastic collision between equal
+  // masses, then the same energy change as a bounce off a ring
+  function collideBalls(end) {
+    for (let i = 0; i < balls.length; i++) {
+      for (let j = i+1; j < balls.length; j++) {
+        const a = balls[i], b = balls[j];
+        const dx = b.x-a.x, dy = b.y-a.y;
+        const dist = Math.hypot(dx, dy);
+        const overlap = a.radius + b.radius - dist;
+        if (overlap <= 0 || dist === 0) continue;
+
+        const nx = dx/dist, ny = dy/dist;
+        // Only balls moving towards each other bounce; the rest just get apart
+        const approach = (a.vx-b.vx)*nx + (a.vy-b.vy)*ny;
+        if (approach > 0) {
+          a.vx -= approach*nx; a.vy -= approach*ny;
+          b.vx += approach*nx; b.vy += approach*ny;
+        }
+        a.x -= nx*overlap/2; a.y -= ny*overlap/2;
+        b.x += nx*overlap/2; b.y += ny*overlap/2;
+        if (approach <= 0) {
+          // Replays don't collide balls, so they need where these ended up
+          emit('push', { time: end, ...ballState(a), other: j });
+          emit('push', { time: end, ...ballState(b), other: i });
+          continue;
+        }
+
+        const speedA = applyBounceEnergy(a);
+        const speedB = applyBounceEnergy(b);
+        emit('collide', { time: end, ...ballState(a), other: j, intensity: Math.min(1, speedA / MAX_BALL_SPEED) });
+        emit('collide', { time: end, ...ballState(b), other: i, intensity: Math.min(1, speedB / MAX_BALL_SPEED) });
+      }
+    }
+  }
+
+  // Balls that left the rings start again, or go away if there are more than
+  // ballCount of them
+  function checkEscapes(end) {
+    const cx = center.x, cy = center.y;
+    for (let i = balls.length-1; i >= 0; i--) {
+      const ball = balls[i];
+      const dx = ball.x-cx, dy = ball.y-cy;
+      const dist = Math.hypot(dx,dy);
+      const maxR = rings.length > 0 ? (rings[rings.length-1].radius+RING_WIDTH+ball.radius+20) : (SHORTER/2);
+      // In a bubble, a ball that leaves the circle can't be seen anymore
+      if (dist <= Math.min(maxR, VISIBLE_RADIUS + ball.radius)) continue;
+      if (balls.length > settings.ballCount) {
+        emit('lost', { time: end, ...ballState(ball) });
+        balls.splice(i, 1);
+      } else {
+        const broken = ringsAroundOthers(ball);
+        resetBall(ball, broken);
+        emit('reset', { time: end, ...ballState(ball), ...(broken.length && { broken }) });
+      }
+    }
+  }
+
+  // Rings broken this step, each launching a ball while there is room
+  let launches = 0;
+
+  // Moves all balls for physics step n
+  function moveBalls(n) {
+    const start = stepTime(n), end = stepTime(n + 1);
+    launches = 0;
+    balls.forEach(ball => moveBall(ball, PHYSICS_STEP, start, end));
+    collideBalls(end);
+    checkEscapes(end);
+    for (; launches > 0 && balls.length < settings.maxBalls; launches--) {
+      const ball = launchBall(chooseBallEffect());
+      emit('launch', { time: end, ...ballState(ball), effect: ball.effect.name });
+    }
+  }
+
+  // Puts a ball where a recorded ball event says, and reports the event
+  function applyBallEvent(event) {
+    const ring = rings[event.ring];
+    let ball = balls[event.ball ?? 0];
+    if (event.type === 'launch') {
+      const effect = BALL_EFFECTS.find(e => e.name === event.effect) ?? currentConfig.ballEffect;
+      ball = launchBall(effect);
+    } else if (event.type === 'lost') {
+      balls.splice(event.ball, 1);
+    } else if (event.type === 'break' && ring) {
+      ring.visible = false;
+      currentConfig.destructionEffect.createEffect(event.x, event.y, ring, sim);
+    } else if (event.type === 'reset') {
+      resetBall(ball, event.broken);
+    }
+    if (event.type !== 'lost') {
+      Object.assign(ball, { x: event.x, y: event.y, vx: event.vx, vy: event.vy, movedTo: event.time });
+    }
+    report(event);
+  }
+
+  // Moves the balls for physics step n of a replay, applying the recorded
+  // ball events of the step from `queue`. Between events they fly like in
+  // moveBall(); each event puts its ball where it was recorded.
+  function replayBalls(n, queue) {
+    const start = stepTime(n), end = stepTime(n + 1);
+    balls.forEach(ball => {
+      ball.vy += GRAVITY * PHYSICS_STEP;
+      ball.movedTo = start;
+      ball.hits = 0;
+    });
+    while (queue.length && queue[0].step <= n) {
+      const event = queue.shift();
+      applyBallEvent(event);
+      // Like in moveBall(), a ball wedged between two bands waits for the next step
+      const ball = balls[event.ball ?? 0];
+      if ((event.type === 'bounce' || event.type === 'break') && ++ball.hits === MAX_HITS_PER_STEP) {
+        ball.movedTo = end;
+      }
+    }
+    balls.forEach(ball => {
+      const span = ball.movedTo === start ? PHYSICS_STEP : end - ball.movedTo;
+      ball.x += ball.vx * span;
+      ball.y += ball.vy * span;
+    });
+  }
+
+  // Spins and shrinks the rings for physics step n, and replaces the ones
+  // that are gone with new outer rings (the recorded ones from
+  // `recordedRings`, in a replay)
+  function updateRings(n, recordedRings) {
+    const h = PHYSICS_STEP;
+    rings.forEach(r => {
+      r.prevAngle = r.angle;
+      r.prevRadius = r.radius;
+      r.angle += r.speed*h*spin;
+    });
+
+    // --- Shrink rings and spawn new outer rings ---
+    rings.forEach(r => {
+      if(!r.visible) return;
+      r.radius -= RING_SHRINK_RATE * h;
+    });
+
+    // Remove rings that became too small
+    const MIN_VISUAL_RADIUS = SHORTER * 0.01; // Define a small absolute radius for removal
+    // Radii reach these limits exactly now and then, so rounding mustn't
+    // decide the step a ring goes at: a replay at another size does the same
+    const TIE = SHORTER * 1e-9;
+    while(rings.length && rings[0].visible && rings[0].radius < MIN_VISUAL_RADIUS - TIE){
+      rings.shift();
+    }
+    // Rings that shrink onto the subject disappear
+    if (clearRadius > 0) {
+      for (let i = rings.length-1; i >= 0; i--) {
+        if (rings[i].visible && rings[i].radius < clearRadius - TIE) rings.splice(i, 1);
+      }
+    }
+
+    // Ensure we keep at least RING_COUNT rings by adding new ones outside
+    while(rings.length < RING_COUNT){
+      const last = rings[rings.length-1];
+      const newRadius = (last ? last.radius + RING_SPACING : BASE_RING_RADIUS);
+      const recorded = recordedRings?.shift();
+      const ring = {
+        radius:newRadius,
+        width:RING_WIDTH,
+        holes:recorded?.holes ?? ringHoles(),
+        angle:recorded ? recorded.angle : rand(0,Math.PI*2),
+        speed:recorded ? recorded.spin : (rings.length%2===0?1:-1)*rand(0.3,0.8),
+        color:recorded ? recorded.color : `hsla(${rand(0,360)}, 75%, 65%, 0.65)`,
+        obstacle:recorded ? recorded.obstacle ?? null : ringObstacle(),
+        visible:true
+      };
+      ring.prevAngle = ring.angle;
+      ring.prevRadius = ring.radius;
+      rings.push(ring);
+      emit('spawn', { time: stepTime(n + 1), ring: rings.length-1, radius: ring.radius, angle: ring.angle,
+        spin: ring.speed, color: ring.color, ...(currentConfig.arena.holes && { holes: ring.holes }),
+        ...(ring.obstacle !== null && { obstacle: ring.obstacle }) });
+    }
+  }
+
+  // Physics steps run so far, and the time at the end of step n
+  let steps = 0;
+  function stepTime(n) {
+    return n * PHYSICS_STEP;
+  }
+
+  // Advances the simulation by dt seconds. Optional per-frame inputs:
+  // `audio`, this frame's audio features, used by the 'reactive' rings only;
+  // `focus`, { x, y, radius } of the subject to center the rings on and keep clear.
+  // The physics runs in fixed steps of PHYSICS_STEP, as many as fit in the
+  // time so far, so any frame rate gives the same run; draw() shows the
+  // balls and rings in between the last two steps.
+  function update(dt, { audio, focus } = {}) {
+    const replaying = script && frame < script.frames;
+    if (replaying) {
+      audio = script.audio?.[frame];
+      focus = script.focus?.[frame];
+    }
+    if (recording) {
+      recording.audio.push(audio ?? null);
+      recording.focus.push(focus ?? null);
+    }
+    if (focus) {
+      center.x = focus.x;
+      center.y = focus.y;
+      clearRadius = focus.radius;
+    }
+    const reactive = currentConfig.ringConfig.audioReactive && audio;
+    const frameEvents = replaying ? [...(scriptEvents.get(frame) ?? [])] : [];
+    if (reactive) reactToAudio(audio, dt, replaying);
+    if (replaying) {
+      // Kicks and bursts happen at the start of the frame
+      for (const event of frameEvents.filter(e => e.type === 'kick' || e.type === 'burst')) {
+        const ring = rings[event.ring];
+        if (event.type === 'kick') {
+          Object.assign(balls[event.ball ?? 0], { vx: event.vx, vy: event.vy });
+        } else if (ring) {
+          currentConfig.destructionEffect.createEffect(event.x, event.y, ring, sim);
+        }
+        report(event);
+      }
+    }
+
+    // Bass spins reactive rings faster
+    spin = reactive ? 1 + audio.low * AUDIO_SPIN_BOOST : 1;
+
+    // Update ball colors
+    balls.forEach(ball => ball.effect.updateBallColor(ball, dt));
+
+    recordedRings.push(...frameEvents.filter(e => e.type === 'spawn'));
+    const ballEvents = frameEvents.filter(e => !['kick', 'burst', 'spawn'].includes(e.type));
+    const due = Math.floor((time + dt) / PHYSICS_STEP + 1e-9);
+    while (steps < due) {
+      balls.forEach(ball => { ball.prevX = ball.x; ball.prevY = ball.y; });
+      if (replaying) replayBalls(steps, ballEvents);
+      else moveBalls(steps);
+      updateRings(steps, replaying ? recordedRings : null);
+      steps++;
+    }
+    // Recorded events the steps didn't reach (from older timelines)
+    ballEvents.forEach(applyBallEvent);
+    // draw() shows the run one step behind, so it can blend the last two steps
+    drawAlpha = Math.min(1, Math.max(0, ((time + dt) - stepTime(steps)) / PHYSICS_STEP));
+
+    // -------------- Update Sparkles ---------------
+    for(let i=sparkles.length-1;i>=0;i--){
+      const s = sparkles[i];
+      s.x += s.vx * dt;
+      s.y += s.vy * dt;
+      s.life -= dt;
+      if(s.life<=0 || isOutsideCircle(s.x, s.y)) sparkles.splice(i,1);
+    }
+
+    // -------------- Update Explosions ---------------
+    for (let i = explosions.length-1; i >= 0; i--) {
+      const e = explosions[i];
+      e.life -= dt;
+
+      if (e.type === 'flash') {
+        // Expand the flash
+        e.radius = e.maxRadius * (1 - e.life/e.maxLife);
+      } else if (e.type === 'debris') {
+        // Move debris
+        e.x += e.vx * dt;
+        e.y += e.vy * dt;
+
+        // Add gravity
+        e.vy += SHORTER * 0.2 * dt;
+
+        // Rotate debris
+        e.rotation += e.rotationSpeed * dt;
+      }
+
+      if (e.life <= 0 || isOutsideCircle(e.x, e.y)) explosions.splice(i, 1);
+    }
+
+    // -------------- Update Shockwaves ---------------
+    for (let i = shockwaves.length-1; i >= 0; i--) {
+      const s = shockwaves[i];
+      s.life -= dt;
+
+      // Expand the shockwave
+      s.radius = s.maxRadius * (1 - s.life/s.maxLife);
+
+      if (s.life <= 0) shockwaves.splice(i, 1);
+    }
+    // -----------------------------------------------
+
+    time += dt;
+    frame++;
+  }
+
+  // Adds a shaped ring's outline from angle `from` to `to` (from its
+  // rotation) to the path, in short steps and through every corner
+  function traceOutline(ctx, ring, from, to) {
+    const { arena } = currentConfig;
+    const steps = Math.ceil((to - from) / OUTLINE_STEP);
+    const angles = Array.from({ length: steps + 1 }, (_, i) => from + (to - from) * i / steps);
+    for (const corner of arena.corners?.(ring) ?? []) {
+      for (const angle of [corner - Math.PI*2, corner, corner + Math.PI*2]) {
+        if (angle > from && angle < to) angles.push(angle);
+      }
+    }
+    angles.sort((a, b) => a - b).forEach((angle, i) => {
+      const radius = arena.radiusAt(ring, angle);
+      if (i === 0) ctx.moveTo(Math.cos(angle)*radius, Math.sin(angle)*radius);
+      else ctx.lineTo(Math.cos(angle)*radius, Math.sin(angle)*radius);
+    });
+  }
+
+  function draw(ctx) {
+    ctx.clearRect(0,0,WIDTH,HEIGHT);
+    const cx = center.x, cy = center.y;
+
+    // Mask the overlay to the circle Telegram shows for video notes
+    if (circular) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(WIDTH/2, HEIGHT/2, VISIBLE_RADIUS, 0, Math.PI*2);
+      ctx.clip();
+    }
+
+    // Rings and balls where they are between the last two physics steps
+    const between = (prev, current) => prev + (current - prev) * drawAlpha;
+
+    rings.forEach(ring=>{
+      if (!ring.visible) return;
+      const r = { ...ring, angle: between(ring.prevAngle, ring.angle), radius: between(ring.prevRadius, ring.radius) };
+
+      const obstacle = obstaclePosition(r);
+      if (obstacle) {
+        ctx.fillStyle = r.color;
+        ctx.beginPath();
+        ctx.arc(obstacle.x, obstacle.y, OBSTACLE_RADIUS, 0, Math.PI*2);
+        ctx.fill();
+      }
+
+      ctx.save();
+      ctx.translate(cx,cy);
+      ctx.rotate(r.angle);
+      ctx.strokeStyle = r.color;
+      ctx.lineWidth = currentConfig.ringConfig.audioReactive ? r.width * (1 + audioPulse * AUDIO_PULSE_WIDTH) : r.width;
+      // The solid parts between one hole and the next
+      r.holes.forEach((hole, i) => {
+        const next = r.holes[i+1] ?? r.holes[0];
+        const from = hole.at + hole.size/2;
+        const to = next.at - next.size/2 + (next === r.holes[0] ? Math.PI*2 : 0);
+        ctx.beginPath();
+        if (currentConfig.arena.radiusAt) traceOutline(ctx, r, from, to);
+        else ctx.arc(0,0,r.radius,from,to);
+        ctx.stroke();
+      });
+      ctx.restore();
+    });
+
+    // Draw balls using their effects
+    balls.forEach(ball => {
+      ball.effect.drawBall(ctx, { ...ball, x: between(ball.prevX, ball.x), y: between(ball.prevY, ball.y) });
+    });
+
+    // Draw sparkles
+    sparkles.forEach(s => {
+      const alpha = Math.max(0, s.life / s.maxLife);
+      ctx.fillStyle = `rgba(${s.color},${alpha})`;
+      ctx.beginPath();
+      ctx.arc(s.x,s.y,BALL_RADIUS*0.5,0,Math.PI*2);
+      ctx.fill();
+    });
+
+    // Draw explosions
+    explosions.forEach(e => {
+      const alpha = Math.max(0, e.life / e.maxLife);
+
+      if (e.type === 'flash') {
+        // Draw expanding flash
+        const gradient = ctx.createRadialGradient(
+          e.x, e.y, 0,
+          e.x, e.y, e.radius
+        );
+        gradient.addColorStop(0, e.color.replace('1)', `${alpha})`));
+        gradient.addColorStop(0.7, e.color.replace('1)', `${alpha * 0.7})`));
+        gradient.addColorStop(1, e.color.replace('1)', '0)'));
+
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(e.x, e.y, e.radius, 0, Math.PI*2);
+        ctx.fill();
+      } else if (e.type === 'debris') {
+        // Draw debris particles
+        ctx.save();
+        ctx.translate(e.x, e.y);
+        ctx.rotate(e.rotation);
+
+        ctx.fillStyle = e.color.replace('1)', `${alpha})`);
+        ctx.beginPath();
+
+        if (e.shapeType === 'square') {
+          ctx.rect(-e.radius/2, -e.radius/2, e.radius, e.radius);
+        } else {
+          ctx.moveTo(0, -e.radius/2);
+          ctx.lineTo(-e.radius/2, e.radius/2);
+          ctx.lineTo(e.radius/2, e.radius/2);
+          ctx.closePath();
+        }
+
+        ctx.fill();
+        ctx.restore();
+      }
+    });
+
+    // Draw shockwaves
+    shockwaves.forEach(s => {
+      const alpha = Math.max(0, s.life / s.maxLife) * 0.4; // Reduced alpha
+      ctx.strokeStyle = s.color.replace('1)', `${alpha})`);
+      ctx.lineWidth = RING_WIDTH * 1.2 * (s.life / s.maxLife); // Even thinner
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, s.radius, 0, Math.PI*2);
+      ctx.stroke();
+    });
+
+    if (circular) ctx.restore();
+  }
+
+  // The run so far as a timeline (see above), or null without `record`
+  function timeline() {
+    if (!recording) return null;
+    return {
+      version: TIMELINE_VERSION,
+      width: WIDTH,
+      height: HEIGHT,
+      frames: frame,
+      seed,
+      options,
+      ...(recording.audio.some(Boolean) && { audio: recording.audio }),
+      ...(recording.focus.some(Boolean) && { focus: recording.focus }),
+      events: recording.events
+    };
+  }
+
+  initializeRings();
+  resetBall(balls[0]);
+  while (balls.length < settings.ballCount) launchBall(chooseBallEffect());
+
+  return {
+    seed,
+    config: {
+      colorScheme: currentConfig.colorScheme.name,
+      rings: currentConfig.ringConfig.name,
+      ball: currentConfig.ballEffect.name,
+      destruction: currentConfig.destructionEffect.name,
+      arena: currentConfig.arena.name,
+      ...settings
+    },
+    // Whether update() wants per-frame audio features
+    audioReactive: Boolean(currentConfig.ringConfig.audioReactive),
+    update,
+    draw,
+    timeline
+  };
+}
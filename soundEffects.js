@@ -0,0 +1,82 @@
+/*
+Synthesized sound effects for simulation events: a short blip for every
+bounce or collision between balls and a glassy shatter for every broken ring.
+Each sound starts on the exact sample of its event, and they are mixed over
+the clip's own audio, which is turned down while they play.
+*/
+
+import { createRandom } from './simulation.js';
+
+const BOUNCE_SECONDS = 0.08;
+const BOUNCE_GAIN = 0.35;
+const SHATTER_SECONDS = 0.35;
+const SHATTER_GAIN = 0.45;
+const DUCK_ATTACK_SECONDS = 0.005; // how fast the original track gets quieter
+const DUCK_RELEASE_SECONDS = 0.15; // and how fast it comes back
+
+// Blip whose pitch rises with the ball's speed and falls while it plays
+function addBounce(track, start, intensity, sampleRate) {
+  const length = Math.floor(BOUNCE_SECONDS * sampleRate);
+  const startFrequency = 500 + 700 * intensity;
+  let phase = 0;
+  for (let i = 0; i < length && start + i < track.length; i++) {
+    const t = i / sampleRate;
+    phase += 2 * Math.PI * startFrequency * (1 - 0.3 * t / BOUNCE_SECONDS) / sampleRate;
+    track[start + i] += Math.sin(phase) * Math.exp(-t / 0.015) * BOUNCE_GAIN * (0.6 + 0.4 * intensity);
+  }
+}
+
+// Burst of bright noise with a few ringing, inharmonic partials, like breaking glass
+function addShatter(track, start, random, sampleRate) {
+  const length = Math.floor(SHATTER_SECONDS * sampleRate);
+  const partials = [2400, 3700, 5300].map(f => f * (0.9 + random() * 0.2));
+  let previousNoise = 0;
+  for (let i = 0; i < length && start + i < track.length; i++) {
+    const t = i / sampleRate;
+    const noise = random() * 2 - 1;
+    const bright = noise - previousNoise; // crude high-pass keeps the crackle, drops the rumble
+    previousNoise = noise;
+    let ring = 0;
+    for (const f of partials) ring += Math.sin(2 * Math.PI * f * t);
+    track[start + i] += (bright * 0.5 * Math.exp(-t / 0.05) + ring / partials.length * Math.exp(-t / 0.09)) * SHATTER_GAIN;
+  }
+}
+
+// Mono track, `duration` seconds long, with a sound for every event.
+// `seed` makes the shatter noise reproducible.
+export function synthesizeEffects(events, { sampleRate, duration, seed = 1 }) {
+  const track = new Float32Array(Math.ceil(duration * sampleRate));
+  const random = createRandom(seed);
+  for (const event of events) {
+    const start = Math.round(event.time * sampleRate);
+    if (start >= track.length) continue;
+    // A collision is reported once for each of the two balls, but makes one sound
+    const collision = event.type === 'collide' && event.ball < event.other;
+    if (event.type === 'bounce' || collision) addBounce(track, start, event.intensity, sampleRate);
+    // A ring burst by a beat (reactive rings) shatters like one a ball breaks
+    else if (event.type === 'break' || event.type === 'burst') addShatter(track, start, random, sampleRate);
+  }
+  return track;
+}
+
+// Mixes the mono `effects` track over interleaved `original` audio (or silence
+// when null). While an effect plays, the original is turned down to `duck`
+// (0 = silent, 1 = untouched); effects are scaled by `volume`.
+export function mixEffects(original, effects, { channels, sampleRate, volume = 1, duck = 0.5 }) {
+  const frames = effects.length;
+  const mixed = new Float32Array(frames * channels);
+  const attack = 1 - Math.exp(-1 / (DUCK_ATTACK_SECONDS * sampleRate));
+  const release = 1 - Math.exp(-1 / (DUCK_RELEASE_SECONDS * sampleRate));
+  let envelope = 0;
+  for (let i = 0; i < frames; i++) {
+    const active = Math.abs(effects[i]) > 0.001 ? 1 : 0;
+    envelope += (active - envelope) * (active > envelope ? attack : release);
+    const gain = 1 - (1 - duck) * envelope;
+    for (let c = 0; c < channels; c++) {
+      const index = i * channels + c;
+      const sample = (original && index < original.length ? original[index] * gain : 0) + effects[i] * volume;
+      mixed[index] = Math.max(-1, Math.min(1, sample));
+    }
+  }
+  return mixed;
+}
@@ -0,0 +1,47 @@
+/*
+Tiny persistent key/value store backed by a JSON file.
+Good enough for per-user and per-chat settings of a single bot instance.
+*/
+
+import fs from 'fs';
+import path from 'path';
+
+export const DATA_DIR = process.env.DATA_DIR || 'data';
+
+export function createJsonStore(fileName) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = {};
+
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error reading ${filePath}, starting with an empty store:`, err);
+    }
+  }
+
+  function save() {
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves a half-written store
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    get(key) {
+      return data[key];
+    },
+    set(key, value) {
+      data[key] = value;
+      save();
+    },
+    delete(key) {
+      if (!(key in data)) return;
+      delete data[key];
+      save();
+    }
+  };
+}
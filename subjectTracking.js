@@ -0,0 +1,96 @@
+/*
+Finds where the person in a clip is, so the rings can be centered on them and
+keep their face clear. A small skin-tone detector runs on low resolution
+sample frames, and the result is smoothed over time. Everything runs locally,
+on frames renderOverlay.js samples with ffmpeg, with no model or service.
+*/
+
+const MIN_SKIN_FRACTION = 0.01; // less skin than this means nobody is there
+const SMOOTHING_SECONDS = 0.6;  // time for the center to cover ~63% of a jump
+const EDGE_MARGIN = 0.2;        // the center stays this far (as a fraction) from the edges
+const FACE_MARGIN = 1.2;        // gap radius relative to the detected skin area
+const MAX_GAP = 0.3;            // largest gap, as a fraction of the shorter side, so rings remain
+
+// Classic YCbCr skin range; works for a wide range of skin tones in normal light
+function isSkin(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+// Finds the largest skin-colored region in an RGB24 frame.
+// Returns { x, y, radius } as fractions of the width, height and shorter side,
+// or null when there is too little skin to go by.
+export function detectSubject(rgb, width, height) {
+  const mask = new Uint8Array(width * height);
+  let skinCount = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (isSkin(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2])) {
+      mask[i] = 1;
+      skinCount++;
+    }
+  }
+  if (skinCount < mask.length * MIN_SKIN_FRACTION) return null;
+
+  // Largest 4-connected region, so a hand or a wooden table doesn't pull the center away
+  let best = null;
+  const stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1) continue;
+    let count = 0, sumX = 0, sumY = 0;
+    mask[start] = 2;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width, y = (i - x) / width;
+      count++;
+      sumX += x;
+      sumY += y;
+      for (const n of [x > 0 && i - 1, x < width - 1 && i + 1, y > 0 && i - width, y < height - 1 && i + width]) {
+        if (n !== false && mask[n] === 1) {
+          mask[n] = 2;
+          stack.push(n);
+        }
+      }
+    }
+    if (!best || count > best.count) best = { count, sumX, sumY };
+  }
+  if (best.count < mask.length * MIN_SKIN_FRACTION) return null;
+
+  return {
+    x: (best.sumX / best.count + 0.5) / width,
+    y: (best.sumY / best.count + 0.5) / height,
+    // Radius of a circle with the region's area
+    radius: Math.sqrt(best.count / Math.PI) * FACE_MARGIN / Math.min(width, height)
+  };
+}
+
+// Turns detections sampled at `sampleFps` into one { x, y, radius } per video
+// frame, in pixels of a width x height video. Frames without a detection drift
+// back to the middle with no gap; every change is eased so the rings glide.
+export function trackSubject(detections, { sampleFps, fps, frames, width, height }) {
+  const shorter = Math.min(width, height);
+  const clamp = (v, size) => Math.min(size * (1 - EDGE_MARGIN), Math.max(size * EDGE_MARGIN, v));
+  const ease = 1 - Math.exp(-1 / (fps * SMOOTHING_SECONDS));
+
+  const track = [];
+  let current = null;
+  for (let f = 0; f < frames; f++) {
+    const sample = detections[Math.min(detections.length - 1, Math.floor(f / fps * sampleFps))];
+    const target = sample
+      ? { x: clamp(sample.x * width, width), y: clamp(sample.y * height, height), radius: Math.min(sample.radius, MAX_GAP) * shorter }
+      : { x: width / 2, y: height / 2, radius: 0 };
+    if (!current) {
+      current = { ...target };
+    } else {
+      current = {
+        x: current.x + (target.x - current.x) * ease,
+        y: current.y + (target.y - current.y) * ease,
+        radius: current.radius + (target.radius - current.radius) * ease
+      };
+    }
+    track.push(current);
+  }
+  return track;
+}
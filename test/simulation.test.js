@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from '../simulation.js';
+
+// Most bounces one ball made in a single physics step
+function busiestStep(events) {
+  const counts = new Map();
+  for (const event of events.filter(e => e.type === 'bounce')) {
+    const key = `${event.step}/${event.ball}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  return Math.max(0, ...counts.values());
+}
+
+function run({ seed, options, seconds }) {
+  const simulation = createSimulation({ width: 400, height: 400, seed, options, record: true });
+  for (let frame = 0; frame < seconds * 30; frame++) simulation.update(1 / 30);
+  return simulation.timeline().events;
+}
+
+test('a reset brings no rings back around the other balls', () => {
+  for (const [seed, options] of [[36, { ballCount: 2 }], [42, { ballCount: 3, maxBalls: 6 }]]) {
+    const events = run({ seed, options, seconds: 20 });
+    assert.ok(events.some(e => e.type === 'reset'), `seed ${seed} has a reset`);
+    // A wedged ball bounces MAX_HITS_PER_STEP (4) times every step
+    assert.ok(busiestStep(events) < 4, `seed ${seed}: a ball is wedged between two rings`);
+    assert.ok(events.filter(e => e.type === 'bounce').length < 200, `seed ${seed}: too many bounces`);
+  }
+});
@@ -0,0 +1,163 @@
+/*
+The render path shared by the Telegram bot (bot.js) and the HTTP server
+(server.js): the render queue, the input limits and render settings read from
+the environment, and processFile(), which checks a downloaded file against
+the limits and renders it, retrying failures that may go away.
+Each process has its own queue, so the bot and the server don't share workers.
+*/
+
+import { setTimeout as sleep } from 'timers/promises';
+import {
+  renderOverlay, probeVideo, probeImage, RenderError, validateCaption, validateWatermark, QUALITY_PROFILES
+} from './renderOverlay.js';
+import { createJobQueue } from './jobQueue.js';
+import { readInputLimits, fitInput } from './inputLimits.js';
+
+// Renders run one at a time by default; each one is a canvas plus an ffmpeg process
+export const renderQueue = createJobQueue({
+  concurrency: Number(process.env.RENDER_WORKERS) || 1,
+  maxLength: Number(process.env.MAX_QUEUE_LENGTH) || 20,
+  maxPerUser: Number(process.env.MAX_QUEUED_PER_USER) || 3
+});
+
+// Size, length, resolution and frame rate limits for incoming videos
+export const inputLimits = readInputLimits();
+// Photos and still stickers become clips of this many seconds
+const STILL_CLIP_SECONDS = Number(process.env.PHOTO_CLIP_SECONDS) || 5;
+// Encoder profile renders use unless they ask for another (see QUALITY_PROFILES)
+export const QUALITY = process.env.QUALITY || 'balanced';
+if (!QUALITY_PROFILES[QUALITY]) {
+  throw new Error(`Unknown QUALITY "${QUALITY}". Known qualities: ${Object.keys(QUALITY_PROFILES).join(', ')}`);
+}
+// Center the rings on the person in the video instead of the middle of the frame
+const FOLLOW_SUBJECT = process.env.FOLLOW_SUBJECT === 'true';
+// Ring counter, combo, timer and score card on top of the overlay
+const HUD = process.env.HUD === 'true';
+// How users' captions are drawn; longer captions are cut
+const CAPTION_POSITION = process.env.CAPTION_POSITION || 'bottom';
+const CAPTION_ANIMATION = process.env.CAPTION_ANIMATION || 'pop';
+const CAPTION_MAX_LENGTH = 200;
+validateCaption({ text: 'check', position: CAPTION_POSITION, animation: CAPTION_ANIMATION });
+// Branding put on every video, if configured
+const WATERMARK = process.env.WATERMARK_TEXT || process.env.WATERMARK_IMAGE ? {
+  text: process.env.WATERMARK_TEXT,
+  image: process.env.WATERMARK_IMAGE,
+  corner: process.env.WATERMARK_CORNER || 'bottom-right',
+  opacity: Number(process.env.WATERMARK_OPACITY || 0.5)
+} : null;
+if (WATERMARK) validateWatermark(WATERMARK);
+// Bounce and shatter sounds mixed into the soundtrack (not for GIFs, which are silent)
+export const SOUND_EFFECTS = process.env.SOUND_EFFECTS === 'true' ? {
+  volume: Number(process.env.SOUND_EFFECTS_VOLUME || 0.8),
+  duck: Number(process.env.SOUND_EFFECTS_DUCKING || 0.5)
+} : null;
+
+export function cleanCaption(text) {
+  return text.trim().slice(0, CAPTION_MAX_LENGTH);
+}
+
+// What to tell the user when a render fails for good, by RenderError code
+const SERVER_FAULT = 'Something is wrong on my side and I can\'t render videos right now. Please try again later.';
+export const RENDER_ERROR_MESSAGES = {
+  PROBE_FAILED: 'I couldn\'t read this file. It may be damaged or not a video.',
+  NO_VIDEO_STREAM: 'This file doesn\'t contain any video.',
+  UNSUPPORTED_CODEC: 'This video is in a format I can\'t decode. Try sending it as a regular MP4.',
+  TIMEOUT: 'This video took too long to render. Try a shorter clip.',
+  OUT_OF_MEMORY: 'I ran out of memory rendering this video. Try a shorter or smaller clip.',
+  INVALID_VIDEO: 'This video looks broken: I couldn\'t tell its size, frame rate or length.',
+  FFMPEG_MISSING: SERVER_FAULT,
+  WATERMARK_FAILED: SERVER_FAULT
+};
+
+export const MAX_RENDER_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000; // doubled after every failed attempt
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_SECONDS || 600) * 1000;
+
+// Renders a downloaded file and resolves with renderOverlay()'s result once
+// the output is written. The file is probed first and checked against the
+// input limits, which throws an InputLimitError when it's over one. With
+// `still`, it is an image that becomes a STILL_CLIP_SECONDS clip. `format`,
+// `quality`, `targetSize`, `overlayOnly`, `bubble` and `soundEffects` are
+// passed on to renderOverlay(); `caption` is text to draw.
+// onProgress, onRetry and `signal` are as for processVideoWithRetries().
+export async function processFile(inputFilePath, outputFilePath, renderOptions,
+  { still = false, format = 'mp4', quality = QUALITY, targetSize, overlayOnly = false, bubble = false, soundEffects = null,
+    caption = '', onProgress, onRetry, signal } = {}) {
+  // The sender's metadata can be missing or wrong, so check the real file
+  const limits = fitInput(still
+    ? await probeImage(inputFilePath, STILL_CLIP_SECONDS)
+    : await probeVideo(inputFilePath), inputLimits);
+  const stillDuration = still ? STILL_CLIP_SECONDS : undefined;
+  const captionSettings = caption
+    ? { text: caption, position: CAPTION_POSITION, animation: CAPTION_ANIMATION }
+    : null;
+  return processVideoWithRetries(inputFilePath, outputFilePath, renderOptions,
+    { limits, stillDuration, format, quality, targetSize, overlayOnly, bubble, soundEffects, caption: captionSettings,
+      onProgress, onRetry, signal });
+}
+
+// Helper function to process video with retries; resolves once the output is written.
+// Only transient RenderErrors (see RENDER_ERRORS) are retried, after a growing delay;
+// anything else, or the last failure, rejects.
+// `limits`, `stillDuration`, `format`, `quality`, `targetSize`, `overlayOnly`, `bubble`, `soundEffects` and `caption`
+// are passed on to renderOverlay().
+// FOLLOW_SUBJECT and HUD turn on its followSubject and hud modes; WATERMARK is its watermark.
+// onProgress receives { frame, frames, elapsedMs } while frames are rendered,
+// onRetry the number of the attempt about to start.
+// Aborting `signal` stops the render and rejects instead of retrying.
+async function processVideoWithRetries(inputFilePath, outputFilePath, renderOptions,
+  { limits, stillDuration, format, quality, targetSize, overlayOnly, bubble, soundEffects, caption,
+    onProgress = () => {}, onRetry = () => {}, signal } = {}, retryCount = 0) {
+  let startedAt = Date.now();
+
+  try {
+    // Process the video with our overlay generator
+    const result = await renderOverlay({
+      input: inputFilePath,
+      output: outputFilePath,
+      options: renderOptions,
+      limits,
+      stillDuration,
+      format,
+      quality,
+      targetSize,
+      overlayOnly,
+      bubble,
+      soundEffects,
+      followSubject: FOLLOW_SUBJECT,
+      hud: HUD,
+      caption,
+      watermark: WATERMARK,
+      signal,
+      timeoutMs: RENDER_TIMEOUT_MS,
+      onProgress: (event) => {
+        if (event.type === 'start') {
+          startedAt = Date.now();
+        } else {
+          onProgress({ frame: event.frame, frames: event.frames, elapsedMs: Date.now() - startedAt });
+        }
+      }
+    });
+
+    // Processing succeeded
+    console.log(`Processing succeeded: ${result.frames} frames at ${result.quality} quality with ${JSON.stringify(result.config)}`);
+    return result;
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.log(`Processing failed on attempt ${retryCount + 1}: ${err.code || err.name}: ${err.message}`);
+
+    if (!(err instanceof RenderError && err.transient)) {
+      console.log('The error is permanent, not retrying');
+      throw err;
+    }
+    if (retryCount + 1 >= MAX_RENDER_ATTEMPTS) {
+      console.log(`All ${MAX_RENDER_ATTEMPTS} attempts failed, giving up`);
+      throw err;
+    }
+    const delay = RETRY_DELAY_MS * 2 ** retryCount;
+    console.log(`Retrying in ${delay / 1000}s... Attempt ${retryCount + 2}`);
+    await sleep(delay, undefined, { signal });
+    onRetry(retryCount + 2);
+    return processVideoWithRetries(inputFilePath, outputFilePath, renderOptions, { limits, stillDuration, format, quality, targetSize, overlayOnly, bubble, soundEffects, caption, onProgress, onRetry, signal }, retryCount + 1);
+  }
+}